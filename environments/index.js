@@ -0,0 +1,72 @@
+// # environments: The domains, ports and certificates used by a deployment
+//
+// Each JSON file in this directory describes one environment (production,
+// staging, local). The results server (live/), the runner (testing/) and
+// the static test pages all read the environment named by the
+// PRIVACYTESTS_ENV environment variable, or "production" by default.
+//
+// The test pages can't read files from disk, so they load a generated
+// script, `environment.js`, that defines a global ENVIRONMENT object. To
+// regenerate it for the static pages:
+//
+// `node environments [name]`
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ENVIRONMENT = "production";
+
+// Where the generated script for the static test pages goes.
+const pageScriptFile = path.join(__dirname, "../testing/out/tests/environment.js");
+
+// Read the environment with the given name. Relative certificate
+// paths are taken to be relative to this directory.
+const loadEnvironment = (name = process.env.PRIVACYTESTS_ENV ?? DEFAULT_ENVIRONMENT) => {
+  const file = path.join(__dirname, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown environment "${name}": no such file ${file}`);
+  }
+  const environment = JSON.parse(fs.readFileSync(file, "utf8"));
+  for (let certificate of Object.values(environment.certificates ?? {})) {
+    certificate.key = path.resolve(__dirname, certificate.key);
+    certificate.cert = path.resolve(__dirname, certificate.cert);
+  }
+  return environment;
+};
+
+// All the hostnames that an environment's test pages and servers use.
+const environmentHostnames = ({ iframeRootSame, iframeRootDifferent, iframeRootThird, bounceTrackerRoot,
+                                liveRoot, resultsRoot, websocketUrl, origins, hosts }) => {
+  const urls = [iframeRootSame, iframeRootDifferent, iframeRootThird, bounceTrackerRoot,
+                liveRoot, resultsRoot, websocketUrl]
+        .filter(url => url !== undefined)
+        .concat(Object.values(origins));
+  const hostnames = urls.map(url => new URL(url).hostname)
+        .concat(Object.values(hosts));
+  return [...new Set(hostnames)];
+};
+
+// The parts of an environment that test pages need. (Pages
+// don't need to know about ports or certificates.)
+const pageEnvironment = ({ name, iframeRootSame, iframeRootDifferent, iframeRootThird, bounceTrackerRoot,
+                           liveRoot, resultsRoot, dnsZone, origins, hosts }) =>
+  ({ name, iframeRootSame, iframeRootDifferent, iframeRootThird, bounceTrackerRoot,
+     liveRoot, resultsRoot, dnsZone, origins, hosts });
+
+// The contents of environment.js for the test pages.
+const pageScript = (environment) =>
+`// Generated from environments/${environment.name}.json by \`node environments\`. Don't edit.
+const ENVIRONMENT = ${JSON.stringify(pageEnvironment(environment), null, 2)};
+`;
+
+const main = () => {
+  const environment = loadEnvironment(process.argv[2]);
+  fs.writeFileSync(pageScriptFile, pageScript(environment));
+  console.log(`Wrote ${environment.name} environment to ${pageScriptFile}`);
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadEnvironment, environmentHostnames, pageScript };
@@ -1,22 +1,80 @@
 const express = require('express');
+const { loadEnvironment } = require('../environments');
 const app = express();
-const port = 3333;
-
-let countMaps = {
-  "css": {},
-  "favicon": {},
-  "fetch": {},
-  "font": {},
-  "image": {},
-  "page": {},
-  "preload": {},
-  "prefetch": {},
+const environment = loadEnvironment();
+const port = environment.ports.caching;
+
+// How long a session's request counts are kept after its last request.
+// (The same default as sessions in results.js.)
+const COUNTER_TTL_MS = Number(process.env.SESSION_TTL_MS ?? 6 * 60 * 60 * 1000);
+const COUNTER_EXPIRY_INTERVAL_MS = 60 * 1000;
+
+// What we know about each key (a test page uses its sessionId as the key):
+// { [key]: { lastActive, counts: { [type]: count },
+//            validators: { [name]: { ifNoneMatch, ifModifiedSince } },
+//            referrers: { [name]: { referer, protocol } } } }
+let counters = {};
+
+// The entry for a key, created if needed, and marked as in use.
+const counterEntry = (key) => {
+  if (counters[key] === undefined) {
+    counters[key] = { counts: {}, validators: {}, referrers: {} };
+  }
+  counters[key].lastActive = Date.now();
+  return counters[key];
+};
+
+// Count a request for the resource of the given type and key.
+// Returns the new count.
+const countRequest = (key, type) => {
+  const counter = counterEntry(key);
+  counter.counts[type] = (counter.counts[type] ?? 0) + 1;
+  return counter.counts[type];
 };
 
+// The number of requests so far for the resource of the given type and key.
+const requestCount = (key, type) => counters[key]?.counts[type] ?? 0;
+
+// Forget the counts for keys that haven't been used for a while.
+setInterval(() => {
+  const now = Date.now();
+  for (let key of Object.keys(counters)) {
+    if (now - counters[key].lastActive > COUNTER_TTL_MS) {
+      delete counters[key];
+    }
+  }
+}, COUNTER_EXPIRY_INTERVAL_MS).unref();
+
 let blobs = {
 
 };
 
+// A short, silent WAV file: 0.1 seconds of 8-bit mono audio at 8 kHz.
+const silentWav = (() => {
+  const sampleRate = 8000;
+  const samples = Buffer.alloc(sampleRate / 10, 128);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + samples.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16); // size of the fmt chunk
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // channels
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate, 28); // bytes per second
+  header.writeUInt16LE(1, 32); // bytes per sample
+  header.writeUInt16LE(8, 34); // bits per sample
+  header.write("data", 36);
+  header.writeUInt32LE(samples.length, 40);
+  return Buffer.concat([header, samples]);
+})();
+
+// An SVG document with a symbol for <use href="...#icon">.
+const svgSymbol = `<svg xmlns="http://www.w3.org/2000/svg">
+  <symbol id="icon" viewBox="0 0 10 10"><circle cx="5" cy="5" r="4"/></symbol>
+</svg>`;
+
 let resourceFiles = {
   "favicon": "favicon.png",
   "fetch": "page.html",
@@ -25,36 +83,60 @@ let resourceFiles = {
   "page": "page.html",
   "preload": "page.html",
   "prefetch": "page.html",
+  "video": "video.mp4",
+  "preload_fetch": "page.html",
+  "preload_font": "font.woff",
+  "preload_image": "image.png",
 };
 
 let fileGenerators = {
   "css": () => `#css { font-family: fake_${Math.random().toString().slice(2)}; }`,
+  "audio": () => silentWav,
+  "script": () => "// classic script\n",
+  "module": () => "// module script\nexport {};\n",
+  "worker": () => "postMessage(\"loaded\");\n",
+  "svg": () => svgSymbol,
+  "preload_script": () => "// preloaded script\n",
+  "preload_style": () => "/* preloaded stylesheet */\n",
 };
 
 let mimeTypes = {
   "favicon": "image/png",
   "fetch": "text/html",
   "font": "font/woff",
-  "image": "image.png",
+  "image": "image/png",
   "page": "text/html",
   "preload": "text/html",
   "prefetch": "text/html",
   "css": "text/css",
+  "video": "video/mp4",
+  "audio": "audio/wav",
+  "script": "text/javascript",
+  "module": "text/javascript",
+  "worker": "text/javascript",
+  "svg": "image/svg+xml",
+  "preload_fetch": "text/html",
+  "preload_font": "font/woff",
+  "preload_image": "image/png",
+  "preload_script": "text/javascript",
+  "preload_style": "text/css",
 };
 
 app.get('/', (req, res) => res.send('Hello World!'));
 
+// Serve a cacheable resource of the given type, and count the request.
 app.get('/resource', (req, res) => {
   let { key, type } = req.query;
-  let countMap = countMaps[type];
-  if (countMap[key]) {
-    countMap[key] = countMap[key] + 1;
-  } else {
-    countMap[key] = 1;
+  if (mimeTypes[type] === undefined) {
+    res.status(404).send(`Unknown resource type ${type}`);
+    return;
   }
-  console.log(`Requested: ${req.url} ; Count: ${countMap[key]}`);
+  const count = countRequest(key, type);
+  console.log(`Requested: ${req.url} ; Count: ${count}`);
   res.set({
-    "Cache-Control": "public, max-age=604800, immutable"
+    "Cache-Control": "public, max-age=604800, immutable",
+    // Module scripts, fonts and preloads with crossorigin need CORS.
+    "Access-Control-Allow-Origin": "*"
   });
   res.setHeader('content-type', mimeTypes[type]);
   const file = resourceFiles[type];
@@ -66,9 +148,9 @@ app.get('/resource', (req, res) => {
 });
 app.get('/ctr', (req, res) => {
   let { key, type } = req.query;
-  console.log(`                                                         Count checked for ${type}, ${key}: ${countMaps[type][key]}`);
+  console.log(`                                                         Count checked for ${type}, ${key}: ${requestCount(key, type)}`);
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.send(`${countMaps[type][key] || 0}`);
+  res.send(`${requestCount(key, type)}`);
 });
 app.get('/altsvc', (req, res) => {
   res.set({
@@ -77,18 +159,249 @@ app.get('/altsvc', (req, res) => {
   res.send("Alt-Svc");
 });
 
-let ifNoneMatchValues = {};
+// ## Revalidation
+//
+// /revalidate serves a resource that the browser must revalidate before
+// reusing, identified by a unique validator. In "etag" mode the validator
+// is an ETag, and in "lastModified" mode a Last-Modified date (with
+// Cache-Control: max-age=0); in "noCache" mode it's an ETag, with
+// Cache-Control: no-cache. When the browser revalidates, it sends the
+// validator back (in If-None-Match or If-Modified-Since), so a validator
+// that crosses first parties can track users. We record the conditional
+// headers of the latest request for each key, mode and load type (how the
+// page loads the resource), and /revalidation reports them.
+
+// The content type to serve for each way of loading a resource.
+const revalidationContentTypes = {
+  "fetch": "text/plain",
+  "image": "image/png",
+  "script": "text/javascript",
+  "iframe": "text/html",
+};
+
+// A random date, used as a unique Last-Modified value.
+const randomDate = () =>
+  new Date(Date.UTC(2000, 0, 1) + Math.floor(Math.random() * 20 * 365 * 24 * 3600) * 1000);
+
+app.get('/revalidate', (req, res) => {
+  let { key, mode, load } = req.query;
+  const contentType = revalidationContentTypes[load];
+  if (contentType === undefined || !["etag", "lastModified", "noCache"].includes(mode)) {
+    res.status(404).send(`Unknown revalidation mode ${mode} or load ${load}`);
+    return;
+  }
+  const ifNoneMatch = req.get("if-none-match");
+  const ifModifiedSince = req.get("if-modified-since");
+  counterEntry(key).validators[`${mode}_${load}`] = { ifNoneMatch, ifModifiedSince };
+  console.log(`Revalidation request: ${req.url} ; If-None-Match: ${ifNoneMatch} ; If-Modified-Since: ${ifModifiedSince}`);
+  res.set({
+    "Cache-Control": mode === "noCache" ? "no-cache" : "max-age=0",
+    "Access-Control-Allow-Origin": "*",
+  });
+  const validator = mode === "lastModified" ? ifModifiedSince : ifNoneMatch;
+  if (validator) {
+    // Whatever the browser has cached is still good.
+    res.set(mode === "lastModified" ? { "Last-Modified": validator } : { "ETag": validator });
+    res.status(304).end();
+    return;
+  }
+  res.set(mode === "lastModified" ?
+          { "Last-Modified": randomDate().toUTCString() } :
+          { "ETag": `"${Math.random().toString().slice(2)}"` });
+  res.setHeader('content-type', contentType);
+  if (load === "image") {
+    res.sendFile("image.png", { root: __dirname });
+  } else {
+    res.send(load === "script" ? "// revalidated script\n" : "revalidated");
+  }
+});
+
+// The conditional headers received in the latest /revalidate request.
+app.get('/revalidation', (req, res) => {
+  let { key, mode, load } = req.query;
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.json(counters[key]?.validators[`${mode}_${load}`] ?? {});
+});
+
+// Redirect (with a 302) to a test page, for the query stripping tests.
+// Only our own test pages are allowed as targets.
+const redirectOrigins = [environment.iframeRootSame, environment.iframeRootDifferent]
+      .map(url => new URL(url).origin);
+app.get('/redirect', (req, res) => {
+  let target;
+  try {
+    target = new URL(req.query.url);
+  } catch (e) {
+    res.status(400).send("Invalid url");
+    return;
+  }
+  if (!redirectOrigins.includes(target.origin)) {
+    res.status(403).send(`Not redirecting to ${target.origin}`);
+    return;
+  }
+  res.redirect(302, target.toString());
+});
+
+// ## Bounce tracking
+//
+// A bounce tracker is a site that the browser passes through, on its way
+// from one first party to another, without the user ever visiting it on
+// purpose. While passing through, the tracker is a first party, so it can
+// set cookies and storage that it reads later when it's embedded as a
+// third party. Here the first party sends the browser to /bounce, which
+// sets a cookie and redirects (with a 302) to /bounce_store, which puts an
+// identifier in localStorage and redirects (with a script) to the second
+// first party. That page then embeds /bounce_check, which reports whether
+// the cookie and the identifier are still there. Every value is the key
+// (the test page's sessionId).
+//
+// These routes are served on the environment's bounceTrackerRoot, a site
+// that no other test visits. Browsers spare sites that the user has
+// interacted with from their bounce tracking mitigations, so the tracker
+// mustn't be one of the sites the other tests open and click on.
+
+// The cookie and localStorage item that hold the tracker's identifier.
+const BOUNCE_ID_NAME = "bounce_id";
+
+const isValidKey = (key) => typeof key === "string" && /^[\w-]+$/.test(key);
+
+// The value of the named cookie in a request, or undefined.
+const requestCookie = (req, name) =>
+  (req.get("cookie") ?? "").split(";")
+    .map(cookie => cookie.trim().split("="))
+    .find(([cookieName]) => cookieName === name)?.[1];
+
+// Is the URL one of our own test pages? (We only redirect to those.)
+const isTestPageUrl = (url) => {
+  try {
+    return redirectOrigins.includes(new URL(url).origin);
+  } catch (e) {
+    return false;
+  }
+};
+
+// A page that runs the given script, which can use the key.
+const bouncePage = (key, script) => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf8"><title>Bounce tracker</title></head>
+  <body>
+    <script>
+      const key = ${JSON.stringify(key)};
+      ${script}
+    </script>
+  </body>
+</html>`;
+
+app.get('/bounce', (req, res) => {
+  let { key, next } = req.query;
+  if (!isValidKey(key) || !isTestPageUrl(next)) {
+    res.status(400).send("Invalid key or next page");
+    return;
+  }
+  const count = countRequest(key, "bounce");
+  console.log(`Bounce: ${key} ; Count: ${count}`);
+  res.set({
+    "Set-Cookie": `${BOUNCE_ID_NAME}=${key}; Max-Age=3600; Path=/; Secure; SameSite=None`,
+    "Cache-Control": "no-store",
+  });
+  res.redirect(302, `bounce_store?key=${key}&next=${encodeURIComponent(next)}`);
+});
+
+app.get('/bounce_store', (req, res) => {
+  let { key, next } = req.query;
+  if (!isValidKey(key) || !isTestPageUrl(next)) {
+    res.status(400).send("Invalid key or next page");
+    return;
+  }
+  res.set({ "Cache-Control": "no-store" });
+  res.send(bouncePage(key, `
+      try {
+        localStorage.setItem(${JSON.stringify(BOUNCE_ID_NAME)}, key);
+      } catch (e) {
+        console.log("Couldn't store the identifier:", e.message);
+      }
+      location.replace(${JSON.stringify(new URL(next).href)});`));
+});
 
-app.get('/etag', (req, res) => {
-  console.log(req.url);
+// Reports to the embedding page: { cookieSent, cookieReadable, stored },
+// whether the tracker's cookie was sent with this request, whether a
+// script can read it, and whether the identifier is in localStorage.
+app.get('/bounce_check', (req, res) => {
   let { key } = req.query;
-  requestIfNoneMatch = req.headers["if-none-match"];
-  console.log("requestIfNoneMatch:", requestIfNoneMatch);
-  if (requestIfNoneMatch) {
-    res.set( { "x-received-if-none-match": requestIfNoneMatch } );
+  if (!isValidKey(key)) {
+    res.status(400).send("Invalid key");
+    return;
   }
-  res.set( {"Cache-Control": "max-age=0" });
-  res.send(key);
+  const cookieSent = requestCookie(req, BOUNCE_ID_NAME) === key;
+  res.set({ "Cache-Control": "no-store" });
+  res.send(bouncePage(key, `
+      const name = ${JSON.stringify(BOUNCE_ID_NAME)};
+      let stored = false;
+      try {
+        stored = localStorage.getItem(name) === key;
+      } catch (e) {
+        console.log("Couldn't read localStorage:", e.message);
+      }
+      parent.postMessage({ bounceCheck: {
+        cookieSent: ${cookieSent},
+        cookieReadable: document.cookie.split("; ").includes(name + "=" + key),
+        stored
+      } }, "*");`));
+});
+
+// ## Header-set cookies
+//
+// /set_cookie sets a cookie (the name and value it's given) with a
+// Set-Cookie header whose attributes depend on `attributes`, on a
+// response of the type that `load` says the page loads it as. With
+// `redirect`, the cookie is set on a 302 that redirects to the same
+// resource without a cookie. /cookie_header reports the value of a cookie
+// in the request's Cookie header, so that the supercookie tests can read
+// cookies back without script access.
+
+// The attributes of each kind of cookie.
+const cookieAttributes = {
+  "none": "SameSite=None; Secure",
+  "partitioned": "SameSite=None; Secure; Partitioned",
+  "lax": "SameSite=Lax; Secure",
+  "strict": "SameSite=Strict; Secure",
+};
+
+// What a page gets when it loads /set_cookie in each way.
+const cookieResponses = {
+  "image": (res) => res.sendFile("image.png", { root: __dirname }),
+  "iframe": (res) => res.type("html").send("<!DOCTYPE html><title>cookie</title>"),
+  "fetch": (res) => res.type("text").send("cookie"),
+};
+
+app.get('/set_cookie', (req, res) => {
+  let { name, value, attributes, load, redirect } = req.query;
+  if (cookieResponses[load] === undefined) {
+    res.status(404).send(`Unknown load ${load}`);
+    return;
+  }
+  res.set({ "Cache-Control": "no-store" });
+  if (name !== undefined) {
+    if (!/^cookie_\w+$/.test(name) || !isValidKey(value) || cookieAttributes[attributes] === undefined) {
+      res.status(400).send("Invalid cookie");
+      return;
+    }
+    res.set({ "Set-Cookie": `${name}=${value}; Path=/; ${cookieAttributes[attributes]}` });
+    console.log(`Setting cookie ${name} (${attributes}) on ${load}${redirect ? " redirect" : ""}`);
+    if (redirect) {
+      res.redirect(302, `set_cookie?load=${load}`);
+      return;
+    }
+  }
+  cookieResponses[load](res);
+});
+
+app.get('/cookie_header', (req, res) => {
+  let { name } = req.query;
+  const value = requestCookie(req, name) ?? "none";
+  console.log(`Cookie header for ${name}: ${value}`);
+  res.set({ "Cache-Control": "no-store" });
+  res.type("text").send(value);
 });
 
 app.get('/set_hsts.png', (req, res) => {
@@ -128,11 +441,120 @@ app.get('/auth', (req, res) => {
   }
 });
 
+// ## Referrers
+//
+// The referrer tests load /headers (as a subresource or an iframe) and
+// /referrer_redirect (as a navigation, which carries on to the `next`
+// page) with a key (the test page's sessionId) and a name for each test.
+// We record the Referer header that each request carried, and the
+// protocol it arrived over (so that a test of downgrading to http can
+// tell if the browser upgraded to https instead), and /referrers reports
+// them. Behind a proxy, the protocol comes from X-Forwarded-Proto.
+
+app.set("trust proxy", "loopback");
+
+// Record the Referer of a request with a key and name, if it has them.
+const recordReferrer = (req) => {
+  let { key, name } = req.query;
+  if (key === undefined || name === undefined) {
+    return;
+  }
+  const referer = req.get("referer") ?? null;
+  counterEntry(key).referrers[name] = { referer, protocol: req.protocol };
+  console.log(`Referer for ${name}, ${key}: ${referer}`);
+};
+
 app.get('/headers', (req, res) => {
+  recordReferrer(req);
   console.log("/headers requested: sending", JSON.stringify(req.headers, null, 2));
   res.json(req.headers);
 });
 
+// Where /referrer_redirect may send the browser next: our test pages, or
+// another /referrer_redirect (for a chain of redirects).
+const referrerRedirectOrigins = redirectOrigins.concat([new URL(environment.liveRoot).origin]);
+
+// Record the Referer and redirect (with a 302) to the next page. If a
+// policy is given, the redirect has that Referrer-Policy, which applies
+// to the redirected request.
+app.get('/referrer_redirect', (req, res) => {
+  let { next, policy } = req.query;
+  let target;
+  try {
+    target = new URL(next);
+  } catch (e) {
+    res.status(400).send("Invalid next page");
+    return;
+  }
+  if (!referrerRedirectOrigins.includes(target.origin)) {
+    res.status(403).send(`Not redirecting to ${target.origin}`);
+    return;
+  }
+  recordReferrer(req);
+  res.set({ "Cache-Control": "no-store" });
+  if (policy) {
+    res.set({ "Referrer-Policy": policy });
+  }
+  res.redirect(302, target.toString());
+});
+
+// The recorded referrers for a key: { [name]: { referer, protocol } }.
+app.get('/referrers', (req, res) => {
+  let { key } = req.query;
+  res.set({ "Access-Control-Allow-Origin": "*", "Cache-Control": "no-store" });
+  res.json(counters[key]?.referrers ?? {});
+});
+
+// ## Header fingerprinting
+//
+// /header_fingerprinting is the header fingerprinting test page. It asks
+// for the high-entropy Client Hints (with Accept-CH), and passes the
+// headers of the navigation request that loaded it to its script, in the
+// order they arrived, as [[name, value], ...]. The script then fetches
+// /headers to see which hints the opt-in unlocked. The script and the
+// rest of the test live with the test pages (header_fingerprinting.js).
+
+// The Client Hints that reveal more than the browser's brand, major
+// version, platform and whether it's mobile.
+const highEntropyClientHints = [
+  "Sec-CH-UA-Full-Version-List", "Sec-CH-UA-Full-Version", "Sec-CH-UA-Platform-Version",
+  "Sec-CH-UA-Arch", "Sec-CH-UA-Bitness", "Sec-CH-UA-Model", "Sec-CH-UA-WoW64",
+  "Sec-CH-UA-Form-Factors",
+];
+
+// Headers whose values we don't pass on, because they aren't
+// fingerprinting signals and may carry state from other tests.
+const privateHeaders = ["cookie", "authorization"];
+
+app.get('/header_fingerprinting', (req, res) => {
+  const navigationHeaders = [];
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    const name = req.rawHeaders[i].toLowerCase();
+    navigationHeaders.push([name, privateHeaders.includes(name) ? "" : req.rawHeaders[i + 1]]);
+  }
+  const pageRoot = environment.iframeRootSame;
+  res.set({
+    "Accept-CH": highEntropyClientHints.join(", "),
+    "Cache-Control": "no-store",
+  });
+  res.send(`<!DOCTYPE html>
+<html>
+  <head>
+    <title>Header fingerprinting</title>
+    <meta charset="utf8">
+    <link rel="stylesheet" href="${pageRoot}/test.css">
+  </head>
+  <body>
+    <script>
+      const navigationHeaders = ${JSON.stringify(navigationHeaders).replace(/</g, "\\u003c")};
+    </script>
+    <script src="${pageRoot}/environment.js"></script>
+    <script src="${pageRoot}/post_data.js"></script>
+    <script src="${pageRoot}/header_fingerprinting.js"></script>
+  </body>
+</html>`);
+});
+
 app.get('/blob', (req, res) => {
   let { key, mode, blobUrl } = req.query;
   if (mode === "write") {
@@ -145,3 +567,5 @@ app.get('/blob', (req, res) => {
 app.listen(port, () => console.log(`listening for file requests on ${port}`));
 
 app.set("etag", true);
+
+module.exports = { app, countRequest };
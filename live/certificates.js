@@ -0,0 +1,84 @@
+// # certificates.js: A private certificate authority for local mode
+//
+// Local mode serves every test host over HTTPS, so we generate a CA once
+// and use it to sign a single leaf certificate that covers all of the
+// environment's hostnames. Browsers are then told to trust the CA (see
+// the instructions printed by local.js). Everything lives in live/local-ca/.
+// The leaf is regenerated whenever the list of hostnames changes. Uses
+// the `openssl` command-line tool.
+
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CA_DIR = path.join(__dirname, "local-ca");
+const VALIDITY_DAYS = 365;
+
+const files = {
+  caKey: path.join(CA_DIR, "ca-key.pem"),
+  caCert: path.join(CA_DIR, "ca.pem"),
+  key: path.join(CA_DIR, "key.pem"),
+  csr: path.join(CA_DIR, "leaf.csr"),
+  cert: path.join(CA_DIR, "cert.pem"),
+  extensions: path.join(CA_DIR, "leaf.ext"),
+  hostnames: path.join(CA_DIR, "hostnames.json"),
+};
+
+const openssl = (...args) => execFileSync("openssl", args, { stdio: "pipe" });
+
+// Create the CA's key and self-signed certificate.
+const generateCA = () => {
+  openssl("req", "-x509", "-newkey", "rsa:2048", "-nodes",
+          "-keyout", files.caKey, "-out", files.caCert,
+          "-days", `${VALIDITY_DAYS}`, "-subj", "/CN=privacytests local CA",
+          "-addext", "basicConstraints=critical,CA:TRUE",
+          "-addext", "keyUsage=critical,keyCertSign,cRLSign");
+  fs.chmodSync(files.caKey, 0o600);
+};
+
+// Create a leaf key and certificate, signed by the CA, valid for all hostnames.
+const generateLeaf = (hostnames) => {
+  const altNames = hostnames.map(hostname => `DNS:${hostname}`).join(",");
+  fs.writeFileSync(files.extensions, [
+    "basicConstraints=CA:FALSE",
+    "keyUsage=digitalSignature,keyEncipherment",
+    "extendedKeyUsage=serverAuth",
+    `subjectAltName=${altNames}`,
+  ].join("\n") + "\n");
+  openssl("req", "-newkey", "rsa:2048", "-nodes",
+          "-keyout", files.key, "-out", files.csr,
+          "-subj", `/CN=${hostnames[0]}`);
+  openssl("x509", "-req", "-in", files.csr,
+          "-CA", files.caCert, "-CAkey", files.caKey, "-CAcreateserial",
+          "-out", files.cert, "-days", `${VALIDITY_DAYS}`,
+          "-extfile", files.extensions);
+  fs.writeFileSync(files.hostnames, JSON.stringify(hostnames));
+};
+
+// Make sure the CA and a leaf certificate for the given hostnames exist,
+// generating whatever is missing or out of date.
+const ensureCertificates = (hostnames) => {
+  fs.mkdirSync(CA_DIR, { recursive: true });
+  if (!fs.existsSync(files.caCert) || !fs.existsSync(files.caKey)) {
+    console.log(`Generating a local CA in ${CA_DIR}`);
+    generateCA();
+  }
+  const previousHostnames = fs.existsSync(files.hostnames) ?
+        fs.readFileSync(files.hostnames, "utf8") : null;
+  if (!fs.existsSync(files.cert) || previousHostnames !== JSON.stringify(hostnames)) {
+    console.log(`Generating a certificate for ${hostnames.join(", ")}`);
+    generateLeaf(hostnames);
+  }
+  return files;
+};
+
+// The base64 SHA-256 hash of a certificate's public key, as expected by
+// Chrome's --ignore-certificate-errors-spki-list flag.
+const spkiHash = (certFile) => {
+  const { publicKey } = new crypto.X509Certificate(fs.readFileSync(certFile));
+  const spki = publicKey.export({ type: "spki", format: "der" });
+  return crypto.createHash("sha256").update(spki).digest("base64");
+};
+
+module.exports = { ensureCertificates, spkiHash };
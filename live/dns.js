@@ -0,0 +1,158 @@
+// # dns.js: An authoritative DNS server for the DNS cache test
+//
+// The DNS cache test resolves a name that is unique to the test session,
+// ttl<seconds>.<sessionId>.<dnsZone>, on one first party and then on
+// another. This server answers for every name in the zone and counts the
+// queries for each session (with countRequest from caching.js, so the
+// test page reads the count from /ctr?type=dns). A browser that shares
+// its DNS cache across first parties doesn't query the name again on the
+// second one.
+//
+// Resolvers between the browser and us (the OS resolver, and in
+// production a recursive resolver) cache answers too, and share them
+// across first parties. So the answer's time-to-live comes from the name,
+// and the test asks for a short one that runs out before it looks the
+// name up again: by then, only a browser that keeps answers for longer
+// than their time-to-live still has it. (A browser that honors the
+// time-to-live queries again on the same first party too, and the test
+// reports that it can't tell.)
+//
+// In production, the zone is delegated to this server (on port 53). In
+// local mode, it listens on a loopback port, and the OS resolver is told
+// to forward the zone to it (see local.js).
+//
+// Only A queries are answered, and only A queries are counted; other
+// query types for names in the zone get an empty answer.
+
+const dgram = require('dgram');
+const { loadEnvironment } = require('../environments');
+const { countRequest } = require('./caching.js');
+
+const environment = loadEnvironment();
+const zone = environment.dnsZone.toLowerCase();
+const port = environment.ports.dns;
+// In local mode, only the OS resolver on this machine needs to reach us.
+const bindAddress = environment.name === "local" ? "127.0.0.1" : undefined;
+
+// The test only needs the name to resolve, not to connect, so we answer
+// with an address reserved for documentation (TEST-NET-1), which nothing
+// routes to.
+const ANSWER_ADDRESS = [192, 0, 2, 1];
+
+// The time-to-live for names without a ttl<seconds> label, and the most
+// that a name can ask for.
+const DEFAULT_TTL_S = 0;
+const MAX_TTL_S = 3600;
+
+const TYPE_A = 1;
+const CLASS_IN = 1;
+const RCODE_REFUSED = 5;
+
+// Reads the question in a query: { name, type, questionClass,
+// questionEnd }, where questionEnd is the offset just past it. Returns
+// undefined if the query is malformed.
+const parseQuestion = (query) => {
+  if (query.length < 12 || query.readUInt16BE(4) !== 1) {
+    return undefined;
+  }
+  const labels = [];
+  let position = 12;
+  while (position < query.length && query[position] !== 0) {
+    const length = query[position];
+    // Compression pointers don't belong in a question.
+    if (length > 63) {
+      return undefined;
+    }
+    labels.push(query.toString("latin1", position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+  if (position + 5 > query.length) {
+    return undefined;
+  }
+  return { name: labels.join(".").toLowerCase(),
+           type: query.readUInt16BE(position + 1),
+           questionClass: query.readUInt16BE(position + 3),
+           questionEnd: position + 5 };
+};
+
+// Builds a response to the query with the given response code and
+// (optional) A record address and time-to-live.
+const response = (query, questionEnd, rcode, address, ttl = DEFAULT_TTL_S) => {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(query.readUInt16BE(0), 0); // ID
+  // QR, AA, the query's RD flag, and the response code.
+  header.writeUInt16BE(0x8400 | (query.readUInt16BE(2) & 0x0100) | rcode, 2);
+  header.writeUInt16BE(1, 4); // questions
+  header.writeUInt16BE(address ? 1 : 0, 6); // answers
+  const question = query.subarray(12, questionEnd);
+  if (!address) {
+    return Buffer.concat([header, question]);
+  }
+  const answer = Buffer.alloc(16);
+  answer.writeUInt16BE(0xc00c, 0); // a pointer to the name in the question
+  answer.writeUInt16BE(TYPE_A, 2);
+  answer.writeUInt16BE(CLASS_IN, 4);
+  answer.writeUInt32BE(ttl, 6);
+  answer.writeUInt16BE(4, 10);
+  Buffer.from(address).copy(answer, 12);
+  return Buffer.concat([header, question, answer]);
+};
+
+// The time-to-live that a name asks for with a ttl<seconds> label in
+// front of its key, such as ttl1.<key>.<zone>.
+const requestedTtl = (labels) => {
+  const match = labels.length > 1 && labels[0].match(/^ttl(\d+)$/);
+  return match ? Math.min(Number(match[1]), MAX_TTL_S) : DEFAULT_TTL_S;
+};
+
+// Answers a query, counting A queries for <key>.<zone>.
+const answer = (query) => {
+  const question = parseQuestion(query);
+  if (question === undefined) {
+    return undefined;
+  }
+  const { name, type, questionClass, questionEnd } = question;
+  if (name !== zone && !name.endsWith(`.${zone}`)) {
+    return response(query, questionEnd, RCODE_REFUSED);
+  }
+  if (type !== TYPE_A || questionClass !== CLASS_IN) {
+    return response(query, questionEnd, 0);
+  }
+  const labels = name.slice(0, -(zone.length + 1)).split(".");
+  const key = labels[labels.length - 1];
+  if (key) {
+    const count = countRequest(key, "dns");
+    console.log(`DNS query: ${name} ; Count: ${count}`);
+  }
+  return response(query, questionEnd, 0, ANSWER_ADDRESS, requestedTtl(labels));
+};
+
+const server = dgram.createSocket("udp4");
+
+server.on('message', (query, remote) => {
+  const reply = answer(query);
+  if (reply) {
+    server.send(reply, remote.port, remote.address);
+  }
+});
+
+// If we can't listen, the other servers carry on, and the DNS cache test
+// reports that its lookups never arrived.
+let listening = false;
+
+server.on('error', (e) => {
+  console.log(`DNS server error: ${e.message}`);
+  if (!listening) {
+    console.log(`Couldn't listen for DNS queries on ${port}, so the DNS cache test won't work.`);
+    if (e.code === "EACCES") {
+      console.log(`Ports below 1024 need extra privileges. Either run as root, or grant them with
+  sudo setcap cap_net_bind_service=+ep $(which node)`);
+    }
+    server.close();
+  }
+});
+
+server.bind(port, bindAddress, () => {
+  listening = true;
+  console.log(`listening for DNS queries for ${zone} on ${port}`);
+});
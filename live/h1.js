@@ -1,16 +1,21 @@
 const https = require('https');
 const url = require("url");
 const fs = require('fs');
+const { loadEnvironment } = require('../environments');
+
+const environment = loadEnvironment();
+const { key, cert } = environment.certificates.h1;
+const port = environment.ports.h1;
 
 const options = {
-  key: fs.readFileSync('/etc/letsencrypt/live/h1.arthuredelstein.net/privkey.pem'),
-  cert: fs.readFileSync('/etc/letsencrypt/live/h1.arthuredelstein.net/fullchain.pem')
+  key: fs.readFileSync(key),
+  cert: fs.readFileSync(cert)
 };
 
 let socketTags = new Map();
 
 // Create a secure HTTP1 server
-// Exampleas:
+// Exampleas (in production):
 // https://h1.arthuredelstein.net:8901/?mode=write&secret=123test
 // https://h1.arthuredelstein.net:8901/?mode=read
 const server = https.createServer(options, (request, response) => {
@@ -39,5 +44,5 @@ const server = https.createServer(options, (request, response) => {
 server.keepAliveTimeout = 300000;
 console.log("server.keepAliveTimeout:", server.keepAliveTimeout);
 
-server.listen(8901);
-console.log("listening for h1 connections on 8901");
+server.listen(port);
+console.log(`listening for h1 connections on ${port}`);
@@ -1,10 +1,15 @@
 const http2 = require('http2');
 const url = require("url");
 const fs = require('fs');
+const { loadEnvironment } = require('../environments');
+
+const environment = loadEnvironment();
+const { key, cert } = environment.certificates.h2;
+const port = environment.ports.h2;
 
 const options = {
-  key: fs.readFileSync('/etc/letsencrypt/live/h2.arthuredelstein.net/privkey.pem'),
-  cert: fs.readFileSync('/etc/letsencrypt/live/h2.arthuredelstein.net/fullchain.pem')
+  key: fs.readFileSync(key),
+  cert: fs.readFileSync(cert)
 };
 
 // Create a secure HTTP/2 server
@@ -12,24 +17,48 @@ const server = http2.createSecureServer(options);
 
 let sessionTags = new Map();
 
-// Exampleas:
+// The :authority values (host and port) seen on each session. The
+// certificate covers both of our h2 hostnames (origins.h2 and origins.h2b
+// in the environment), so a browser may coalesce them onto one connection.
+let sessionAuthorities = new Map();
+
+server.on('session', (session) => {
+  sessionAuthorities.set(session, new Set());
+  session.on('close', () => {
+    sessionTags.delete(session);
+    sessionAuthorities.delete(session);
+  });
+});
+
+// Exampleas (in production):
 // https://h2.arthuredelstein.net:8902/?mode=write&secret=123test
 // https://h2.arthuredelstein.net:8902/?mode=read
+// https://h2b.arthuredelstein.net:8902/authorities
 server.on('request', (request, response) => {
   let path = request.headers[":path"];
   let parsedURL = url.parse(path, true);
   let query = parsedURL.query;
   let session = request.stream.session;
+  let authorities = sessionAuthorities.get(session);
+  authorities.add(request.headers[":authority"]);
   if (query["mode"] === "write") {
     sessionTags.set(session, query["secret"]);
   }
-  console.log("h2 request. session tag found:",sessionTags.get(session));
-  response.setHeader('Content-Type', 'text/plain');
+  console.log("h2 request. session tag found:", sessionTags.get(session),
+              "authorities:", [...authorities]);
   response.setHeader('Cache-Control', 'no-store');
   response.setHeader('Access-Control-Allow-Origin', '*');
+  if (parsedURL.pathname === "/authorities") {
+    // The session's tag, and every authority that has used the session.
+    response.setHeader('Content-Type', 'application/json');
+    response.end(JSON.stringify({ tag: sessionTags.get(session) ?? null,
+                                  authorities: [...authorities] }));
+    return;
+  }
+  response.setHeader('Content-Type', 'text/plain');
   response.end(sessionTags.get(session));
 });
 
 server.timeout = 300000;
-server.listen(8902);
-console.log("listening for h2 connections on 8902");
+server.listen(port);
+console.log(`listening for h2 connections on ${port}`);
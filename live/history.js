@@ -0,0 +1,102 @@
+// # history.js: Finished sessions in the form the renderer reads
+//
+// The runner writes its results to a JSON file (see writeDataSync in
+// testing/test.js) that testing/render.js turns into a results table. Here
+// we build the same kind of file from sessions stored by the results
+// server, including sessions run by hand in a visitor's own browser. For
+// those we only know the user agent string, so the browser name, version
+// and OS are guessed from it.
+
+const { execSync } = require('child_process');
+const { SCHEMA_VERSION } = require('./schemas.js');
+
+// Browser names as used in the runner's config files, with the user agent
+// token that identifies each one. Order matters: Edge and Opera also claim
+// to be Chrome, and Chrome also claims to be Safari.
+const browserTokens = [
+  ["edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ["opera", /(?:OPR|OPT)\/([\d.]+)/],
+  ["vivaldi", /Vivaldi\/([\d.]+)/],
+  ["firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+  ["safari", /Version\/([\d.]+).*Safari\//],
+];
+
+// Operating system names as reported by the runner (os.type()).
+const osTokens = [
+  ["Android", /Android ([\d.]+)/],
+  ["iOS", /(?:iPhone|iPad|iPod).* OS ([\d_]+)/],
+  ["Windows_NT", /Windows NT ([\d.]+)/],
+  ["Darwin", /Mac OS X ([\d_.]+)/],
+  ["Linux", /Linux/],
+];
+
+// Find the first name whose pattern matches userAgent, and return
+// the name and the version captured by the pattern.
+const matchToken = (tokens, userAgent) => {
+  for (let [name, pattern] of tokens) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      return { name, version: match[1]?.replace(/_/g, ".") };
+    }
+  }
+  return { name: undefined, version: undefined };
+};
+
+// Guess the browser, its version and the OS from a user agent string.
+const parseUserAgent = (userAgent = "") => {
+  const browser = matchToken(browserTokens, userAgent);
+  const os = matchToken(osTokens, userAgent);
+  return { browser: browser.name, version: browser.version,
+           os: os.name, osVersion: os.version };
+};
+
+// The platform of a bundle, as the runner would describe it.
+const platformOf = (osName) =>
+  (osName === "Android" || osName === "iOS") ? osName : "Desktop";
+
+let gitHashCache;
+
+// The version of this repository that the server is running, if known.
+const gitHash = () => {
+  if (gitHashCache === undefined) {
+    try {
+      gitHashCache = execSync('git rev-parse HEAD', { cwd: __dirname, stdio: "pipe" })
+        .toString().trim();
+    } catch (e) {
+      gitHashCache = null;
+    }
+  }
+  return gitHashCache ?? undefined;
+};
+
+// Takes a list of { summary, results } for finished sessions (where summary
+// comes from the session store's describeSession and results are processed
+// results) and returns a bundle in the runner's results file format.
+const exportBundle = (sessionList) => {
+  const all_tests = sessionList.map(({ summary, results }) => {
+    const { browser, version, os, osVersion } = parseUserAgent(summary.userAgent);
+    return {
+      browser, incognito: false, tor: false, nightly: false,
+      testResults: results,
+      timeStarted: new Date(summary.created).toISOString(),
+      reportedVersion: version,
+      os, os_version: osVersion,
+      userAgent: summary.userAgent,
+      sessionId: summary.sessionId,
+    };
+  });
+  const startTimes = sessionList.map(({ summary }) => summary.created);
+  const stopTimes = sessionList.map(({ summary }) => summary.finished);
+  const platforms = [...new Set(all_tests.map(test => platformOf(test.os)))];
+  return {
+    all_tests,
+    schemaVersion: SCHEMA_VERSION,
+    git: gitHash(),
+    timeStarted: new Date(startTimes.length ? Math.min(...startTimes) : Date.now()).toISOString(),
+    timeStopped: new Date(stopTimes.length ? Math.max(...stopTimes) : Date.now()).toISOString(),
+    platform: platforms.length === 1 ? platforms[0] : "Desktop",
+  };
+};
+
+module.exports = { parseUserAgent, exportBundle };
@@ -1,6 +1,20 @@
-require('./caching.js');
+// Start all of the live servers. `node index.js local` runs them
+// entirely on this machine instead (see local.js).
+const local = process.argv[2] === "local";
+let certificateFiles;
+if (local) {
+  process.env.PRIVACYTESTS_ENV = "local";
+  certificateFiles = require('./local.js').prepare();
+}
+
+const { app: cachingApp } = require('./caching.js');
 require('./tls.js');
 require('./h1.js');
 require('./h2.js');
+require('./dns.js');
 require('./params.js');
-require('./results.js');
+const { app: resultsApp, wss } = require('./results.js');
+
+if (local) {
+  require('./local.js').start(certificateFiles, { cachingApp, resultsApp, wss });
+}
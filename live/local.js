@@ -0,0 +1,145 @@
+// # local.js: Run the whole test suite on one machine, with no network
+//
+// `node live/index.js local` uses environments/local.json, whose hostnames
+// all end in .test. It generates a private CA and a certificate for those
+// hostnames, starts every backend, and adds a front server (on ports.http
+// and ports.https) that does the job of the production web server: it
+// serves the static test pages from testing/out/tests, routes requests for
+// each hostname to the right backend, and accepts the runner's websocket.
+// Finally it prints what the browser and the runner need in order to reach
+// the .test hosts and trust the CA.
+
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { loadEnvironment, environmentHostnames, pageScript } = require('../environments');
+const { ensureCertificates, spkiHash } = require('./certificates.js');
+
+const staticRoot = path.join(__dirname, "../testing/out/tests");
+
+// The hostnames that need a certificate. The insecure host is
+// deliberately left out: it must only be reachable over http.
+const certificateHostnames = (environment) =>
+  environmentHostnames(environment)
+    .filter(hostname => hostname !== environment.hosts.insecure);
+
+// Generate the CA and certificates. Must be called before the
+// backends are loaded, because they read their certificates at startup.
+const prepare = () => {
+  const environment = loadEnvironment();
+  return ensureCertificates(certificateHostnames(environment));
+};
+
+// Only handle requests whose Host header is the given hostname.
+const forHost = (hostname, handler) => (req, res, next) =>
+  req.hostname === hostname ? handler(req, res, next) : next();
+
+// The express app for the front server.
+const frontApp = (environment, { cachingApp, resultsApp }) => {
+  const app = express();
+  const liveUrl = new URL(environment.liveRoot);
+  const iframePath = new URL(environment.iframeRootSame).pathname;
+  // The committed environment.js describes production, so generate ours.
+  app.get(/\/environment\.js$/, (req, res) => {
+    res.type("application/javascript");
+    res.send(pageScript(environment));
+  });
+  // Subresources for the HTTPS upgrade tests.
+  app.get('/content/:file(image.png|test.js)', (req, res) =>
+    res.sendFile(req.params.file, { root: __dirname }));
+  app.use(liveUrl.pathname, forHost(liveUrl.hostname, cachingApp));
+  app.use(forHost(environment.hosts.hsts, cachingApp));
+  app.use(forHost(new URL(environment.bounceTrackerRoot).hostname, cachingApp));
+  app.use(forHost(new URL(environment.resultsRoot).hostname, resultsApp));
+  app.use(iframePath, express.static(staticRoot));
+  app.use(express.static(staticRoot));
+  return app;
+};
+
+// Hand websocket upgrades for the results host over to the results server.
+const acceptWebsockets = (server, environment, wss) => {
+  const { hostname, pathname } = new URL(environment.websocketUrl);
+  server.on('upgrade', (req, socket, head) => {
+    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+    if (requestUrl.hostname !== hostname || requestUrl.pathname !== pathname) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+  });
+};
+
+const listen = (server, port, description) => {
+  server.on('error', (e) => {
+    console.log(`Couldn't listen for ${description} on ${port}: ${e.message}`);
+    if (e.code === "EACCES") {
+      console.log(`Ports below 1024 need extra privileges. Either run as root, or grant them with
+  sudo setcap cap_net_bind_service=+ep $(which node)`);
+    }
+    process.exit(1);
+  });
+  server.listen(port, () => console.log(`listening for ${description} on ${port}`));
+};
+
+// Explain how to point a browser and the runner at the local servers.
+const printInstructions = (environment, certificateFiles) => {
+  const hostnames = environmentHostnames(environment);
+  const hash = spkiHash(certificateFiles.cert);
+  const { caCert } = certificateFiles;
+  console.log(`
+Local mode is running. To use it:
+
+1. Resolve the .test hosts to this machine. Either add to /etc/hosts:
+
+${hostnames.map(hostname => `  127.0.0.1 ${hostname}`).join("\n")}
+
+   or (Chromium-based browsers only) pass this flag:
+
+  --host-resolver-rules="MAP *.test 127.0.0.1, EXCLUDE *.${environment.dnsZone}"
+
+   For the DNS cache test, also have the OS resolver forward
+   ${environment.dnsZone} to the DNS server on 127.0.0.1 port ${environment.ports.dns}:
+   macOS: put these lines in /etc/resolver/${environment.dnsZone}:
+     nameserver 127.0.0.1
+     port ${environment.ports.dns}
+   Linux with dnsmasq:
+     server=/${environment.dnsZone}/127.0.0.1#${environment.ports.dns}
+
+2. Trust the local CA, ${caCert}
+   Chromium-based browsers:
+     --ignore-certificate-errors-spki-list=${hash}
+   Firefox, in distribution/policies.json:
+     { "policies": { "Certificates": { "Install": ["${caCert}"] } } }
+   macOS (Safari and others):
+     sudo security add-trusted-cert -d -r trustRoot -k /Library/Keychains/System.keychain ${caCert}
+   Linux (NSS):
+     certutil -d sql:$HOME/.pki/nssdb -A -t C,, -n privacytests-local -i ${caCert}
+
+3. Run the runner against this environment:
+
+  PRIVACYTESTS_ENV=local NODE_EXTRA_CA_CERTS=${caCert} node testing/test.js ...
+
+(HTTP/3 tests aren't available in local mode.)
+`);
+};
+
+// Start the front servers. The backends must already be loaded.
+const start = (certificateFiles, { cachingApp, resultsApp, wss }) => {
+  const environment = loadEnvironment();
+  const app = frontApp(environment, { cachingApp, resultsApp });
+  const { key, cert } = environment.certificates.web;
+  const httpsServer = https.createServer({
+    key: fs.readFileSync(key),
+    cert: fs.readFileSync(cert)
+  }, app);
+  const httpServer = http.createServer(app);
+  acceptWebsockets(httpsServer, environment, wss);
+  acceptWebsockets(httpServer, environment, wss);
+  listen(httpsServer, environment.ports.https, "local https requests");
+  listen(httpServer, environment.ports.http, "local http requests");
+  printInstructions(environment, certificateFiles);
+};
+
+module.exports = { prepare, start };
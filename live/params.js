@@ -1,6 +1,7 @@
 const express = require('express');
+const { loadEnvironment } = require('../environments');
 const app = express();
-const port = 3334;
+const port = loadEnvironment().ports.params;
 
 app.get('/', (req, res) => 
         res.send(`
@@ -0,0 +1,125 @@
+// # report.js: A visitor's personal results page
+//
+// Anyone can run the tests in their own browser by visiting /test-my-browser
+// on the results server. When they reach done.html, they are offered a
+// link to /report/<sessionId>, rendered here: their results in the same
+// table as the published results (see testing/table.js), next to the
+// latest published results for browsers of the same kind, with a
+// permalink and a JSON download.
+
+const fs = require('fs');
+const path = require('path');
+const { htmlEscape, htmlTable, resultsToTable, tableTitleHTML, tooltipScript } = require('../testing/table.js');
+const { parseUserAgent } = require('./history.js');
+
+// Where the published results files (as written by testing/test.js) live.
+// Overridden by the PUBLISHED_RESULTS_DIR environment variable.
+const DEFAULT_PUBLISHED_RESULTS_DIR = path.join(__dirname, "../testing/out");
+
+// The stylesheets used by the published results pages.
+const cssFiles = ["../testing/template.css", "../testing/inline.css"]
+      .map(file => path.join(__dirname, file));
+
+// Published results files have names like 20211209_073523.json.
+const resultsFilePattern = /^\d{8}_\d{6}\.json$/;
+
+// The published results, indexed by browser and kind of platform (see
+// indexPublishedResults), along with the directory and the files (and
+// their modification times) that the index was built from.
+let publishedIndex = { dir: undefined, fileTimes: undefined, latest: new Map() };
+
+// The key for a browser on a kind of platform in the index.
+const indexKey = (browser, mobile) => `${browser}/${mobile ? "mobile" : "desktop"}`;
+
+// Read the published results files, newest first, and return a map from
+// each browser and kind of platform to the newest file that has any
+// (non-nightly) results for it: { file, timeStarted, tests }.
+const indexPublishedResults = (dir, files) => {
+  const latest = new Map();
+  for (let file of files) {
+    let results;
+    try {
+      results = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (e) {
+      console.log(`Skipping unreadable results file ${file}:`, e.message);
+      continue;
+    }
+    const mobile = results.platform === "Android" || results.platform === "iOS";
+    for (let test of results.all_tests ?? []) {
+      const key = indexKey(test.browser, mobile);
+      if (test.nightly || !test.testResults || (latest.has(key) && latest.get(key).file !== file)) {
+        continue;
+      }
+      if (!latest.has(key)) {
+        latest.set(key, { file, timeStarted: results.timeStarted, tests: [] });
+      }
+      latest.get(key).tests.push(test);
+    }
+  }
+  return latest;
+};
+
+// The newest published results for the given browser on the same kind of
+// platform: { file, timeStarted, tests }, or undefined if there are none.
+// Reading the files is slow, and would hold up every runner's websocket,
+// so we only index them again when one of them has changed.
+const latestPublishedResults = (browser, mobile, dir = DEFAULT_PUBLISHED_RESULTS_DIR) => {
+  if (browser === undefined || !fs.existsSync(dir)) {
+    return undefined;
+  }
+  const files = fs.readdirSync(dir).filter(file => resultsFilePattern.test(file)).sort().reverse();
+  const fileTimes = files.map(file => `${file}@${fs.statSync(path.join(dir, file)).mtimeMs}`).join();
+  if (publishedIndex.dir !== dir || publishedIndex.fileTimes !== fileTimes) {
+    publishedIndex = { dir, fileTimes, latest: indexPublishedResults(dir, files) };
+  }
+  return publishedIndex.latest.get(indexKey(browser, mobile));
+};
+
+// Returns the HTML for a visitor's report. summary comes from
+// sessionSummary in results.js, and results are the processed results.
+// permalink and downloadUrl are absolute URLs for this report and for
+// its results in JSON.
+const reportPage = ({ summary, results, permalink, downloadUrl, publishedResultsDir }) => {
+  const { browser, version, os, osVersion } = parseUserAgent(summary.userAgent);
+  const mobile = os === "Android" || os === "iOS";
+  const published = latestPublishedResults(browser, mobile,
+                                           publishedResultsDir ?? DEFAULT_PUBLISHED_RESULTS_DIR);
+  const visitorColumn = {
+    label: "Your browser", browser: browser ?? "unknown",
+    reportedVersion: version, os, os_version: osVersion,
+    testResults: results
+  };
+  const { headers, body } = resultsToTable([visitorColumn].concat(published?.tests ?? []),
+                                           tableTitleHTML("Your results"));
+  const comparison = published ?
+        `Compared with the published results for ${htmlEscape(browser)} from
+         ${htmlEscape(published.timeStarted.split("T")[0])} (${htmlEscape(published.file)}).` :
+        "We don't have published results for a browser like yours to compare with.";
+  const css = cssFiles.map(file => fs.readFileSync(file, "utf8")).join("\n");
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf8"/>
+    <title>PrivacyTests.org: your browser's results</title>
+    <style>${css}</style>
+  </head>
+  <body>
+    <div class="gutter"></div>
+    <div class="wrapper">
+      <div class="banner">
+        <div class="middle-heading">How does your browser compare?</div>
+      </div>
+      <p>Tests ran at ${htmlEscape(summary.started)} in ${htmlEscape(summary.userAgent ?? "an unknown browser")}.
+      ${comparison}</p>
+      <p>Permalink: <a href="${htmlEscape(permalink)}">${htmlEscape(permalink)}</a>.
+      Download your results as <a href="${htmlEscape(downloadUrl)}" download="privacytests-${htmlEscape(summary.sessionId)}.json">JSON</a>.</p>
+      ${headers ? htmlTable({ headers, body, className: "comparison-table" }) : "<p>No results were recorded.</p>"}
+    </div>
+    <div class="gutter"></div>
+    <script type="module">${tooltipScript}</script>
+  </body>
+</html>
+`;
+};
+
+module.exports = { reportPage };
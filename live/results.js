@@ -6,180 +6,499 @@ const cors = require('cors');
 
 const app = express();
 const { WebSocketServer } = require('ws');
+const { createSessionStore } = require('./sessions.js');
+const { createTokenSigner, loadSecret, isAdmin } = require('./tokens.js');
+const { exportBundle } = require('./history.js');
+const { SCHEMA_VERSION, validate } = require('./schemas.js');
+const { reportPage } = require('./report.js');
+const { judge } = require('./verdicts.js');
+const { loadEnvironment } = require('../environments');
+const { loadTrackingParameters, testedParameters } = require('../tracking-parameters');
 
+const environment = loadEnvironment();
 
+// Map from sessionId to the websocket currently connected for that session.
 let websockets = {};
 
-// Map from sessionId to results.
-let sessionResults = {};
+// Persistent storage of each session's results and step counter.
+const sessions = createSessionStore({
+  logFile: process.env.SESSIONS_LOG,
+  ttlMs: process.env.SESSION_TTL_MS ? Number(process.env.SESSION_TTL_MS) : undefined,
+  finishedTtlMs: process.env.FINISHED_SESSION_TTL_MS ?
+    Number(process.env.FINISHED_SESSION_TTL_MS) : undefined
+});
+
+// How often we look for abandoned sessions to expire.
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+
+// Signs the token that each session's pages must present when they post.
+const tokens = createTokenSigner({
+  secret: loadSecret(),
+  lifetimeMs: Number(process.env.SESSION_TOKEN_LIFETIME_MS ?? 6 * 60 * 60 * 1000)
+});
+
+// HTTP status and explanation for each error code we return.
+const errors = {
+  missing_session: [400, "No sessionId was given."],
+  unknown_session: [404, "The sessionId doesn't match any current session."],
+  missing_token: [401, "No session token was given."],
+  invalid_token: [401, "The session token is not valid for this sessionId."],
+  expired_token: [401, "The session token has expired."],
+  replayed_post: [409, "Data for this category has already been posted to this session."],
+  invalid_query: [400, "The limit and since parameters must be numbers."],
+  unfinished_session: [404, "The session hasn't finished yet."],
+  admin_only: [403, "Only an admin can list or export sessions."],
+  invalid_data: [422, "The posted data doesn't match the schema for its category."],
+};
+
+// Respond to a request with an error in the form { error: { code, message } }.
+// If given, details are appended to the message.
+const sendError = (res, code, details) => {
+  const [status, explanation] = errors[code];
+  const message = details ? `${explanation} ${details}` : explanation;
+  console.log(`Rejecting request: ${code}`);
+  res.status(status).json({ error: { code, message } });
+};
+
+// Checks that the sessionId exists and the token was issued for it.
+// Returns an error code, or null if the session checks out.
+const checkSession = (sessionId, token) => {
+  if (!sessionId) {
+    return "missing_session";
+  }
+  if (!sessions.hasSession(sessionId)) {
+    return "unknown_session";
+  }
+  return tokens.verify(sessionId, token);
+};
 
 // We use two domains for supercookies and navigation tests.
 // The "same" domain is the one that is used for simluated third-party tracker
 // and one of the two first parties. The "different" domain is the other
 // first party we use.
-const iframe_root_same = "https://arthuredelstein.net/test-pages";
-const iframe_root_different = "https://test-pages.privacytests.org";
-
-
-// Borrowed from https://github.com/brave/brave-core/blob/50df76971db6a6023b3db9aead0827606162dc9c/browser/net/brave_site_hacks_network_delegate_helper.cc#L29
-// and https://github.com/jparise/chrome-utm-stripper:
-const TRACKING_QUERY_PARAMETERS = {
-  // https://github.com/brave/brave-browser/issues/4239
-  "fbclid": "Facebook Click Identifier",
-  "gclid": "Google Click Identifier",
-  "msclkid": "Microsoft Click ID",
-  "mc_eid": "Mailchimp Email ID (email recipient's address)",
-  // https://github.com/brave/brave-browser/issues/9879
-  "dclid": "DoubleClick Click ID (Google)",
-  // https://github.com/brave/brave-browser/issues/13644
-  "oly_anon_id": "Omeda marketing 'anonymous' customer id",
-  "oly_enc_id": "Omeda marketing 'known' customer id",
-  // https://github.com/brave/brave-browser/issues/11579
-  "_openstat": "Yandex tracking parameter",
-  // https://github.com/brave/brave-browser/issues/11817
-  "vero_conv": "Vero tracking parameter",
-  "vero_id": "Vero tracking parameter",
-  // https://github.com/brave/brave-browser/issues/13647
-  "wickedid": "Wicked Reports e-commerce tracking",
-  // https://github.com/brave/brave-browser/issues/11578
-  "yclid": "Yandex Click ID",
-  // https://github.com/brave/brave-browser/issues/8975
-  "__s": "Drip.com email address tracking parameter",
-  // https://github.com/brave/brave-browser/issues/17451
-  "rb_clickid": "Unknown high-entropy tracking parameter",
-  // https://github.com/brave/brave-browser/issues/17452
-  "s_cid": "Adobe Site Catalyst tracking parameter",
-  // https://github.com/brave/brave-browser/issues/17507
-  "ml_subscriber": "MailerLite email tracking",
-  "ml_subscriber_hash": "MailerLite email tracking",
-  // https://github.com/brave/brave-browser/issues/9019
-  "_hsenc": "HubSpot tracking parameter",
-  "__hssc": "HubSpot tracking parameter",
-  "__hstc": "HubSpot tracking parameter",
-  "__hsfp": "HubSpot tracking parameter",
-  "hsCtaTracking": "HubSpot tracking parameter",
-  // https://github.com/jparise/chrome-utm-stripper
-  "mkt_tok": "Adobe Marketo tracking parameter",
-  "igshid": "Instagram tracking parameter",
-};
+const iframe_root_same = environment.iframeRootSame;
+const iframe_root_different = environment.iframeRootDifferent;
+
 
-// Map sessionId to the step.
-const stepCounters = {};
+// The tracking query parameters tested on the query page's destination
+// (see tracking-parameters/).
+const queryTestParameters = () =>
+  testedParameters(loadTrackingParameters(), new URL(iframe_root_different).hostname);
 
 // Generate the test URL for our tracking query parameter tests.
-// Takes each of the parameters in the form { k1: v1, ... } and
-// return a string URL with query string.
-const queryParameterTestUrl = (parameters) => {
+// Takes a list of parameters in the form [{ name, ... }, ...] and
+// returns a URL whose query string has each of them. If a navigation
+// method is given, the query page posts its results under that method.
+const queryParameterTestUrl = (parameters, method) => {
   let secret = Math.random().toString().slice(2);
   let baseURL = `${iframe_root_different}/query.html`;
   let queryString = `?controlParam=controlValue`;
-  for (let param of Object.keys(parameters)) {
-    queryString += `&${param}=${secret}`;
+  for (let { name } of parameters) {
+    queryString += `&${encodeURIComponent(name)}=${secret}`;
+  }
+  if (method) {
+    queryString += `&method=${method}`;
   }
   return baseURL + queryString;
 };
 
+// The ways a tracking query parameter can reach a site, besides the
+// runner opening the address. For each one, a launcher page on one first
+// party (query_launch.html) navigates to the query page on the other, and
+// the query page posts the parameters that reached it as
+// "query_<method>". (Copying a link with the browser's share or "copy
+// link" UI is another way, but we can't automate it.)
+const queryNavigationMethods = {
+  link: {
+    name: "link click",
+    description: "Checks whether tracking query parameters are stripped when the user clicks a link to another site."
+  },
+  assign: {
+    name: "location.assign",
+    description: "Checks whether tracking query parameters are stripped when a script navigates to another site with location.assign()."
+  },
+  form: {
+    name: "form submission",
+    description: "Checks whether tracking query parameters are stripped when a form is submitted (with GET) to another site."
+  },
+  redirect: {
+    name: "server redirect",
+    description: "Checks whether tracking query parameters are stripped when a server redirects the browser (with a 302 response) to another site."
+  },
+  window_open: {
+    name: "window.open",
+    description: "Checks whether tracking query parameters are stripped when a script opens another site in a new window with window.open()."
+  },
+  iframe_link: {
+    name: "link in a cross-site iframe",
+    description: "Checks whether tracking query parameters are stripped when the user clicks a link, inside an embedded cross-site iframe, that navigates the whole page."
+  },
+};
+
+// The launcher page for a navigation method, which navigates to the
+// query page with the given parameters.
+const queryLaunchUrl = (parameters, method) =>
+  `${iframe_root_same}/query_launch.html?method=${method}&target=${
+     encodeURIComponent(queryParameterTestUrl(parameters, method))}`;
+
 // Figure out the next step index for the given session.
-const getNextStepIndex = (sessionId) => {
-  if (stepCounters[sessionId] === undefined) {
-    stepCounters[sessionId] = 0;
-  }
-  ++stepCounters[sessionId];
-  return stepCounters[sessionId];
+const getNextStepIndex = (sessionId) => sessions.nextStep(sessionId);
+
+// The steps that a session can run, in the order they run. Each step
+// has a name (the test category), and a function that returns the list
+// of pages visited. Steps with no pages are run by the runner itself
+// (test.js); the server only keeps track of whether they're in the plan.
+// Optional steps only run when a test plan asks for them.
+const steps = [];
+
+// Add a step to the end of the list of steps.
+const registerStep = ({ name, pages, optional }) => {
+  steps.push({ name, pages: pages ?? (() => []), optional: optional ?? false });
 };
 
-const pageSequence = [
+registerStep({ name: "supercookies", pages: () => [
   `${iframe_root_same}/supercookies.html?mode=write&thirdparty=same`,
   `${iframe_root_same}/supercookies.html?mode=read&thirdparty=same`,
   `${iframe_root_different}/supercookies.html?mode=read&thirdparty=different`,
+]});
+registerStep({ name: "navigation", pages: () => [
   `${iframe_root_same}/navigation.html?mode=write&thirdparty=same`,
   `${iframe_root_same}/navigation.html?mode=read&thirdparty=same`,
   `${iframe_root_different}/navigation.html?mode=read&thirdparty=different`,
-  `${iframe_root_same}/fingerprinting.html`,
-  `${iframe_root_same}/misc.html`,
-  queryParameterTestUrl(TRACKING_QUERY_PARAMETERS),
+]});
+// The tracker writes as a first party, then asks for storage access while
+// embedded in the other first party (where the runner clicks it and
+// accepts any prompt), then checks whether its access was remembered,
+// and (where the environment has a third site) whether it carried over
+// to a third first party. See storage_access.js.
+registerStep({ name: "storage_access", pages: () => [
+  `${iframe_root_same}/storage_access.html?mode=write`,
+  `${iframe_root_different}/storage_access.html?mode=request`,
+  `${iframe_root_different}/storage_access.html?mode=reload`,
+  ...(environment.iframeRootThird ? [`${environment.iframeRootThird}/storage_access.html?mode=other`] : []),
+]});
+// The tracker asks for geolocation as a first party (where the runner
+// clicks it and accepts the prompt), then reads its permission states
+// there and embedded in the other first party. See permissions.js.
+registerStep({ name: "permissions", pages: () => [
+  `${iframe_root_same}/permissions.html?mode=write&thirdparty=same`,
+  `${iframe_root_same}/permissions.html?mode=read&thirdparty=same`,
+  `${iframe_root_different}/permissions.html?mode=read&thirdparty=different`,
+]});
+registerStep({ name: "fingerprinting", pages: () => [`${iframe_root_same}/fingerprinting.html`] });
+// The header fingerprinting page is served by the caching server, which
+// sees the request headers (see /header_fingerprinting in caching.js).
+registerStep({ name: "header_fingerprinting", pages: () => [`${environment.liveRoot}/header_fingerprinting`] });
+registerStep({ name: "misc", pages: () => [`${iframe_root_same}/misc.html`] });
+registerStep({ name: "query", pages: () => {
+  const parameters = queryTestParameters();
+  return [queryParameterTestUrl(parameters)]
+    .concat(Object.keys(queryNavigationMethods).map(method => queryLaunchUrl(parameters, method)));
+}});
+// The browser starts on one first party and is sent through the bounce
+// tracker (the caching server, on a site of its own) to the check page on
+// the other first party, which carries on from there, so the whole step
+// is one page in the sequence.
+registerStep({ name: "bounce_tracking", pages: () => [
+  `${iframe_root_different}/bounce.html?mode=start`,
+]});
+// The referrer page is on the other first party from the caching server,
+// so its requests there are cross-site.
+registerStep({ name: "referrer", pages: () => [`${iframe_root_different}/referrer.html`] });
+registerStep({ name: "https", pages: () => [
   `${iframe_root_same}/https.html`,
-  `http://upgradable.arthuredelstein.net/upgradable.html?source=hyperlink`,
-//  `http://insecure.arthuredelstein.net/insecure.html`,
-  `${iframe_root_same}/done.html`
-];
+  `http://${environment.hosts.upgradable}/upgradable.html?source=hyperlink`,
+]});
+// The runner visits the insecure page itself, and gives up waiting after
+// a few seconds: a browser that refuses to load it (which passes) never
+// posts, and that mustn't stall the sequence.
+registerStep({ name: "insecure", optional: true });
+registerStep({ name: "supplementary" });
+// The runner writes supercookies, restarts the browser (switching to a
+// private window where it can), and reads them back (see
+// runPersistenceVariant in test.js).
+registerStep({ name: "persistence", optional: true });
+
+// The supercookie pages that the runner opens in the persistence step
+// post under these categories: one for each variant and stage.
+const persistenceCategories = ["restart", "private"].flatMap(
+  variant => ["write", "before", "after"].map(stage => `persistence_${variant}_${stage}`));
+
+// The page every sequence ends on.
+const finalPage = `${iframe_root_same}/done.html`;
+
+// Categories of data that a page posts directly to the runner over the
+// websocket, rather than accumulating them, unless they are a step in the
+// plan whose pages the server sequences.
+const forwardedCategories = ["supplementary", "insecure", "upgradable_address", "storage_access_ready",
+                             "permissions_ready", "query_link_ready", "query_window_open_ready",
+                             "query_iframe_link_ready",
+                             ...persistenceCategories];
 
-const nextUrl = (sessionId, nextStepIndex) => {
-  const rawUrl = pageSequence[nextStepIndex];
+// Takes a test plan, such as { only: ["supercookies", "query"] },
+// { skip: ["https"] } or { add: ["insecure"] }, and returns the list of
+// step names it selects. Throws an error for an unknown step name.
+const planSteps = ({ only, skip, add } = {}) => {
+  const stepNames = steps.map(step => step.name);
+  for (let name of [].concat(only ?? [], skip ?? [], add ?? [])) {
+    if (!stepNames.includes(name)) {
+      throw new Error(`Unknown test category "${name}". Known categories: ${stepNames.join(", ")}`);
+    }
+  }
+  return steps
+    .filter(step => only ? only.includes(step.name) : !step.optional)
+    .map(step => step.name)
+    .concat(add ?? [])
+    .filter(name => !(skip ?? []).includes(name))
+    .filter((name, i, names) => names.indexOf(name) === i)
+    .sort((a, b) => stepNames.indexOf(a) - stepNames.indexOf(b));
+};
+
+// Build the sequence of pages that a session with the given
+// list of steps will visit.
+const buildPageSequence = (stepNames) =>
+  steps.filter(step => stepNames.includes(step.name))
+    .flatMap(step => step.pages())
+    .concat([finalPage]);
+
+// Whether the category is a step in the session's plan whose pages the
+// server sequences (rather than one that the runner runs itself).
+const isSequencedStep = (sessionId, category) =>
+  sessionPlan(sessionId).steps.includes(category) &&
+  steps.find(step => step.name === category).pages().length > 0;
+
+// Returns the session's plan, { steps, pageSequence }. A session whose
+// runner didn't send a plan gets the default plan.
+const sessionPlan = (sessionId) => {
+  if (sessions.getPlan(sessionId) === undefined) {
+    const stepNames = planSteps();
+    sessions.setPlan(sessionId, { steps: stepNames, pageSequence: buildPageSequence(stepNames) });
+  }
+  return sessions.getPlan(sessionId);
+};
+
+const nextUrl = (sessionId, token, nextStepIndex) => {
+  const rawUrl = sessionPlan(sessionId).pageSequence[nextStepIndex];
+  if (rawUrl === undefined) {
+    // We're past the end of the sequence.
+    return undefined;
+  }
   const urlObject = new URL(rawUrl);
   urlObject.searchParams.set("sessionId", sessionId);
+  urlObject.searchParams.set("token", token);
   return urlObject.toString();
 };
 
 // Store the result data for a particular category.
 const accumulateResultData = (sessionId, category, data) => {
-    if (sessionResults[sessionId] === undefined) {
-      sessionResults[sessionId] = {};
-    }
-    sessionResults[sessionId][category] = data;
+  sessions.setResult(sessionId, category, data);
 };
 
 
-// Takes the results of supercookie or navigation tests
+// Takes the results of supercookie or navigation tests from the three
+// pages (write, then read on the same and a different first party), and
+// judges each test with the verdict it names (see verdicts.js). A test
+// missing from any of the pages is reported as an error.
 const getJointResult = (writeResults, readResultsSameFirstParty, readResultsDifferentFirstParty) => {
   let jointResult = {};
-  for (let test in readResultsDifferentFirstParty) {
-    let { write, read, description, result: readDifferentFirstParty } = readResultsDifferentFirstParty[test];
-    let { result: readSameFirstParty } = readResultsSameFirstParty[test];
-    let { result: writeResult } = writeResults[test];
-    let unsupported = (writeResult === "Error: Unsupported");
-    let readSameFirstPartyFailedToFetch = readSameFirstParty ? readSameFirstParty.startsWith("Error: Failed to fetch") : false;
-    let readDifferentFirstPartyFailedToFetch = readDifferentFirstParty ? readDifferentFirstParty.startsWith("Error: Failed to fetch") : false;
-    unsupported = unsupported || (readSameFirstParty ? readSameFirstParty.startsWith("Error: No requests received") : false);
-    unsupported = unsupported || (readSameFirstParty ? readSameFirstParty.startsWith("Error: image load failed") : false);
-    let testFailed = !unsupported && (!readSameFirstParty || (readSameFirstParty.startsWith("Error:") && !readSameFirstPartyFailedToFetch));
-    let passed = (testFailed || unsupported) ?
-      undefined :
-      (readSameFirstParty !== readDifferentFirstParty) ||
-      (readSameFirstPartyFailedToFetch && readDifferentFirstPartyFailedToFetch);
-    jointResult[test] = { write, read, unsupported, readSameFirstParty, readDifferentFirstParty, passed, testFailed, description };
+  const pages = { "write": writeResults,
+                  "same first party read": readResultsSameFirstParty,
+                  "different first party read": readResultsDifferentFirstParty };
+  const testNames = new Set(Object.values(pages).flatMap(results => Object.keys(results)));
+  for (let test of testNames) {
+    let { write, read, description, verdict } = writeResults[test] ?? readResultsSameFirstParty[test] ??
+        readResultsDifferentFirstParty[test];
+    let readSameFirstParty = readResultsSameFirstParty[test]?.result;
+    let readDifferentFirstParty = readResultsDifferentFirstParty[test]?.result;
+    let missingFrom = Object.keys(pages).filter(page => pages[page][test] === undefined);
+    let { status, reason } = missingFrom.length > 0 ?
+        { status: "error", reason: `The test is missing from the ${missingFrom.join(" and ")} page.` } :
+        judge(verdict, { writeResult: writeResults[test].result, readSameFirstParty, readDifferentFirstParty });
+    jointResult[test] = { write, read, description, verdict, readSameFirstParty, readDifferentFirstParty,
+                          status, reason };
   }
   return jointResult;
 };
 
+// Takes the query parameters that reached the query page, and reports
+// whether each tracking parameter was stripped.
 const processQueryResults = (queryParametersRaw) => {
   console.log(queryParametersRaw);
   let queryParameters = {};
-  for (let param of Object.keys(TRACKING_QUERY_PARAMETERS)) {
-    console.log(queryParametersRaw[param])
-    queryParameters[param] = {
-      value: queryParametersRaw[param],
-      passed: (queryParametersRaw[param] === undefined),
-      description: TRACKING_QUERY_PARAMETERS[param],
+  for (let { name, description, vendor, source, pattern } of queryTestParameters()) {
+    queryParameters[name] = {
+      value: queryParametersRaw[name],
+      passed: (queryParametersRaw[name] === undefined),
+      description, vendor, source,
+      ...(pattern && { pattern }),
     };
   }
   return queryParameters;
 };
 
-// Move a test from a source map to a destination map. (Mutates both maps.)
-const moveTestBetweenCategories = (testName, src, dest) => {
-  dest[testName] = src[testName];
-  delete src[testName];
+// The status and reason for a navigation method's results. The launcher
+// page posts a failure if it couldn't navigate, and if even the control
+// parameter is missing, we can't tell what the browser stripped.
+const queryMethodStatus = (failure, navigated, notStripped) => {
+  if (failure) {
+    return { status: "error", reason: `The launcher page couldn't navigate: ${failure}.` };
+  }
+  if (!navigated) {
+    return { status: "unsupported", reason: "Even the control parameter didn't arrive." };
+  }
+  if (notStripped.length > 0) {
+    return { status: "failed", reason: `Not stripped: ${notStripped.join(", ")}.` };
+  }
+  return { status: "passed", reason: "Every tracking parameter was stripped." };
+};
+
+// Takes the query parameters that reached the query page by one of the
+// navigation methods, and reports whether all of the tracking parameters
+// were stripped.
+const processQueryMethodResults = (method, queryParametersRaw) => {
+  const { name: methodName, description } = queryNavigationMethods[method];
+  const tested = queryTestParameters().map(({ name }) => name);
+  const notStripped = tested.filter(param => queryParametersRaw[param] !== undefined);
+  const navigated = queryParametersRaw["controlParam"] !== undefined;
+  return {
+    [`All tracking parameters, ${methodName}`]: {
+      ...queryMethodStatus(queryParametersRaw["failure"], navigated, notStripped),
+      stripped: `${tested.length - notStripped.length} of ${tested.length}`,
+      notStripped: notStripped.join(", ") || "none",
+      // How the launcher page failed to navigate, or who clicked its link.
+      ...(queryParametersRaw["failure"] && { failure: queryParametersRaw["failure"] }),
+      ...(queryParametersRaw["clickedBy"] && { clickedBy: queryParametersRaw["clickedBy"] }),
+      description
+    }
+  };
 };
 
+// Takes what the embedded tracker saw on the storage access "request",
+// "reload" and "other" pages (see storage_access_inner.js), and judges
+// whether the Storage Access API let it get around state partitioning.
+// Only environments with a third site (iframeRootThird) have an "other"
+// page, so elsewhere we can't say whether a grant carries over to other
+// first parties, and leave that row out.
+const processStorageAccessResults = (request, reload, other) => {
+  const { supported, autoGranted, granted, hadAccess, before, after, clickedBy, requestMs, error } = request;
+  const details = { autoGranted, granted, hadAccess, clickedBy, requestMs, error };
+  const row = (description, judgement) => ({
+    description,
+    ...(supported ? judgement() : { status: "unsupported", reason: "The browser doesn't support the Storage Access API." }),
+    ...details
+  });
+  // A row for one kind of unpartitioned state.
+  const visibilityRow = (description, isVisible, what) => row(description, () => {
+    if (isVisible(before)) {
+      return { status: "failed", reason: `The tracker could read its ${what} without asking for access.` };
+    }
+    if (isVisible(after)) {
+      return { status: "failed", reason: `The tracker could read its ${what} after asking for access.` };
+    }
+    return { status: "passed", reason: `The tracker couldn't read its ${what}, even after asking for access.` };
+  });
+  return {
+    "Storage Access API, auto-granted": row(
+      "The Storage Access API lets an embedded third party ask for access to its unpartitioned cookies, normally only after the user clicks on it. Checks whether the browser grants access without a user gesture.",
+      () => autoGranted ?
+        { status: "failed", reason: "The browser granted storage access without a user gesture." } :
+        { status: "passed", reason: "The browser didn't grant storage access without a user gesture." }),
+    "Storage Access API, unpartitioned cookies": visibilityRow(
+      "The Storage Access API lets an embedded third party ask for access to its unpartitioned cookies, which undoes cookie partitioning for that third party. Checks whether a tracker that asks (with a user gesture, accepting any prompt) can read the cookie it set as a first party.",
+      state => state?.cookieReadable || state?.cookieSent, "unpartitioned cookie"),
+    "Storage Access API, unpartitioned localStorage": visibilityRow(
+      "Some browsers let an embedded third party that asks for storage access also use its unpartitioned localStorage. Checks whether a tracker that asks (with a user gesture, accepting any prompt) can read what it stored as a first party.",
+      state => state?.stored, "unpartitioned localStorage"),
+    "Storage Access API, grant remembered": row(
+      "Checks whether storage access, once granted to a tracker embedded in a website, is granted again without a user gesture when the website is loaded again.",
+      () => {
+        if (!granted) {
+          return { status: "unsupported", reason: "The browser never granted storage access." };
+        }
+        return reload?.granted ?
+          { status: "failed", reason: "A later page load got storage access again without a user gesture." } :
+          { status: "passed", reason: "A later page load needed a new user gesture for storage access." };
+      }),
+    ...(other && {
+      "Storage Access API, grant shared across websites": row(
+        "Checks whether storage access, once granted to a tracker embedded in one website, is granted without a user gesture to the same tracker embedded in a different website.",
+        () => {
+          if (!granted) {
+            return { status: "unsupported", reason: "The browser never granted storage access." };
+          }
+          return other.granted ?
+            { status: "failed", reason: "The tracker got storage access on another website without a user gesture." } :
+            { status: "passed", reason: "The tracker needed a new user gesture for storage access on another website." };
+        }),
+    }),
+  };
+};
+
+// Move a test from a source category to a destination category, creating
+// the destination if needed. Does nothing if the test isn't in the source
+// category. (Mutates results.)
+const moveTestBetweenCategories = (results, testName, src, dest) => {
+  if (results[src] === undefined || results[src][testName] === undefined) {
+    return;
+  }
+  results[dest] = results[dest] ?? {};
+  results[dest][testName] = results[src][testName];
+  delete results[src][testName];
+};
+
+// Takes the raw data posted for a session, and returns the results for each
+// category. Categories that the session's plan didn't include are left out.
 const processResults = (rawResults) => {
   const {
-    misc, https, upgradable_hyperlink, fingerprinting, query,
+    misc, https, upgradable_hyperlink, fingerprinting, query, bounce_tracking, referrer,
+    header_fingerprinting, storage_access_request, storage_access_reload, storage_access_other,
+    permissions_write_same, permissions_read_same, permissions_read_different,
     navigation_write_same, navigation_read_same, navigation_read_different,
     supercookies_write_same, supercookies_read_same, supercookies_read_different
   } = rawResults;
-  let supercookies = getJointResult(supercookies_write_same, supercookies_read_same, supercookies_read_different);
-  let navigation = getJointResult(navigation_write_same, navigation_read_same, navigation_read_different);
-  moveTestBetweenCategories("ServiceWorker", navigation, supercookies);
-  moveTestBetweenCategories("Stream isolation", supercookies, misc);
-  return {
-    misc,
-    query: processQueryResults(query),
-    https: Object.assign({}, https, upgradable_hyperlink),
-    fingerprinting,
-    navigation,
-    supercookies,
+  let results = {};
+  if (supercookies_write_same && supercookies_read_same && supercookies_read_different) {
+    results.supercookies = getJointResult(supercookies_write_same, supercookies_read_same, supercookies_read_different);
+  }
+  if (navigation_write_same && navigation_read_same && navigation_read_different) {
+    results.navigation = getJointResult(navigation_write_same, navigation_read_same, navigation_read_different);
+  }
+  if (permissions_write_same && permissions_read_same && permissions_read_different) {
+    results.permissions = getJointResult(permissions_write_same, permissions_read_same, permissions_read_different);
+  }
+  if (storage_access_request) {
+    results.storage_access = processStorageAccessResults(storage_access_request, storage_access_reload, storage_access_other);
+  }
+  if (misc) {
+    results.misc = misc;
+  }
+  if (query) {
+    results.query = processQueryResults(query);
+  }
+  for (let method of Object.keys(queryNavigationMethods)) {
+    const methodData = rawResults[`query_${method}`];
+    if (methodData) {
+      results.query = Object.assign(results.query ?? {}, processQueryMethodResults(method, methodData));
+    }
+  }
+  if (bounce_tracking) {
+    results.bounce_tracking = bounce_tracking;
+  }
+  if (referrer) {
+    results.referrer = referrer;
+  }
+  if (https || upgradable_hyperlink) {
+    results.https = Object.assign({}, https, upgradable_hyperlink);
   }
+  if (fingerprinting) {
+    results.fingerprinting = fingerprinting;
+  }
+  if (header_fingerprinting) {
+    results.header_fingerprinting = header_fingerprinting;
+  }
+  moveTestBetweenCategories(results, "ServiceWorker", "navigation", "supercookies");
+  moveTestBetweenCategories(results, "Stream isolation", "supercookies", "misc");
+  return results;
 };
 
 app.use(express.json());
@@ -188,27 +507,234 @@ app.use(cors());
 app.get('/', (req, res) => res.send('Hello World!'));
 
 app.get('/results', (req, res) => {
-  const {raw, sessionId} = req.query;
-  if (raw) {
-    res.json(sessionResults[sessionId]);
+  const {raw, sessionId, token} = req.query;
+  const error = checkSession(sessionId, token);
+  if (error) {
+    sendError(res, error);
+  } else if (raw) {
+    res.json(sessions.getResults(sessionId));
+  } else {
+    res.json(processResults(sessions.getResults(sessionId)));
+  }
+});
+
+// ## History
+//
+// Listing and exporting sessions needs the admin secret (see tokens.js),
+// and looking up one session needs its token or the admin secret, so that
+// nobody can read other people's results. A visitor comes back to their
+// own results through their report (see below), whose URL is the secret.
+
+// The most sessions /sessions will list, unless a smaller limit is given.
+const MAX_SESSIONS_LISTED = 100;
+
+// A session's summary, with times as ISO strings.
+const sessionSummary = (sessionId) => {
+  const { userAgent, created, finished, categories } = sessions.describeSession(sessionId);
+  return {
+    sessionId, userAgent, categories,
+    started: new Date(created).toISOString(),
+    finished: finished === undefined ? undefined : new Date(finished).toISOString()
+  };
+};
+
+// Returns the finished sessionIds selected by the `sessionIds` (comma-separated),
+// `since` (ms since epoch, by finish time) and `limit` query parameters,
+// most recent first. Returns undefined if a parameter is malformed.
+const selectFinishedSessions = ({ sessionIds, since, limit }) => {
+  const sinceMs = Number(since ?? 0);
+  const limitCount = Math.min(Number(limit ?? MAX_SESSIONS_LISTED), MAX_SESSIONS_LISTED);
+  if (Number.isNaN(sinceMs) || Number.isNaN(limitCount)) {
+    return undefined;
+  }
+  const wanted = sessionIds ? sessionIds.split(",") : undefined;
+  return sessions.finishedSessions()
+    .filter(sessionId => wanted === undefined || wanted.includes(sessionId))
+    .filter(sessionId => sessions.describeSession(sessionId).finished >= sinceMs)
+    .slice(0, limitCount);
+};
+
+// Lists recently finished sessions.
+app.get('/sessions', (req, res) => {
+  if (!isAdmin(req.get("authorization"))) {
+    sendError(res, "admin_only");
+    return;
+  }
+  const selected = selectFinishedSessions(req.query);
+  if (selected === undefined) {
+    sendError(res, "invalid_query");
+  } else {
+    res.json(selected.map(sessionSummary));
+  }
+});
+
+// Exports finished sessions as a results file that testing/render.js can read.
+app.get('/sessions/export', (req, res) => {
+  if (!isAdmin(req.get("authorization"))) {
+    sendError(res, "admin_only");
+    return;
+  }
+  const selected = selectFinishedSessions(req.query);
+  if (selected === undefined) {
+    sendError(res, "invalid_query");
+  } else {
+    res.json(exportBundle(selected.map(sessionId => ({
+      summary: sessions.describeSession(sessionId),
+      results: processResults(sessions.getResults(sessionId))
+    }))));
+  }
+});
+
+// A session's summary, along with its raw and processed results.
+app.get('/sessions/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  const error = isAdmin(req.get("authorization")) ?
+        (sessions.hasSession(sessionId) ? null : "unknown_session") :
+        checkSession(sessionId, req.query.token);
+  if (error) {
+    sendError(res, error);
+  } else {
+    const raw = sessions.getResults(sessionId);
+    res.json({ ...sessionSummary(sessionId), raw, results: processResults(raw) });
+  }
+});
+
+// ## Test my browser
+//
+// A visitor can run the tests by hand in their own browser, with no
+// runner. Their session has the default plan, minus the steps that only
+// a runner can carry out, and ends on done.html, which links to their report.
+
+// Start a visitor's session and send them to its first page.
+app.get('/test-my-browser', (req, res) => {
+  const sessionId = uuidv4();
+  const token = tokens.issue(sessionId);
+  sessions.createSession(sessionId);
+  const stepNames = planSteps({ skip: ["supplementary"] });
+  sessions.setPlan(sessionId, { steps: stepNames, pageSequence: buildPageSequence(stepNames),
+                                visitor: true });
+  res.redirect(nextUrl(sessionId, token, 0));
+});
+
+// Checks that the session is a finished visitor session. Returns an
+// error code, or null if it is. (Runners' sessions have no report.)
+const checkReport = (sessionId) => {
+  if (!sessions.getPlan(sessionId)?.visitor) {
+    return "unknown_session";
+  }
+  if (sessions.describeSession(sessionId).finished === undefined) {
+    return "unfinished_session";
+  }
+  return null;
+};
+
+// A visitor's results, compared with the published results.
+app.get('/report/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  const error = checkReport(sessionId);
+  if (error) {
+    sendError(res, error);
+    return;
+  }
+  const root = environment.resultsRoot;
+  res.send(reportPage({
+    summary: sessionSummary(sessionId),
+    results: processResults(sessions.getResults(sessionId)),
+    permalink: `${root}/report/${sessionId}`,
+    downloadUrl: `${root}/report/${sessionId}/export`,
+    publishedResultsDir: process.env.PUBLISHED_RESULTS_DIR
+  }));
+});
+
+// A visitor's results, as a results file that testing/render.js can read.
+app.get('/report/:sessionId/export', (req, res) => {
+  const { sessionId } = req.params;
+  const error = checkReport(sessionId);
+  if (error) {
+    sendError(res, error);
   } else {
-    res.json(processResults(sessionResults[sessionId]));
+    res.json(exportBundle([{
+      summary: sessions.describeSession(sessionId),
+      results: processResults(sessions.getResults(sessionId))
+    }]));
   }
 });
 
+// Send data to the session's websocket. If the websocket isn't
+// connected (say, the runner is reconnecting after a server restart),
+// the message is queued and delivered when it comes back. Visitor
+// sessions have no websocket, so nothing is sent.
 const websocketSend = (sessionId, data) => {
-  websockets[sessionId].send(JSON.stringify({sessionId, data}));
+  const message = JSON.stringify({sessionId, data});
+  const ws = websockets[sessionId];
+  if (ws && ws.readyState === ws.OPEN) {
+    ws.send(message);
+  } else if (!sessions.getPlan(sessionId)?.visitor) {
+    sessions.queueMessage(sessionId, message);
+  }
+};
+
+// ## Progress
+//
+// After every post, the session's websocket gets a progress event:
+// { progress: { step, totalSteps, category, url, elapsedMs, nextUrl, error } },
+// where step is the index of the page the session has now reached, url is
+// the page that posted, elapsedMs is the time since the previous event (or
+// since the plan was made), nextUrl is the page the browser was sent to
+// next, and error is set if the post was rejected.
+
+// Map from sessionId to the time of its last progress event. (Not kept
+// across restarts, so the first event after a restart has no elapsedMs.)
+let lastProgressTimes = {};
+
+// A URL without the session parameters, so it's easier to read in logs.
+const withoutSessionParams = (url) => {
+  try {
+    const urlObject = new URL(url);
+    urlObject.searchParams.delete("sessionId");
+    urlObject.searchParams.delete("token");
+    return urlObject.href;
+  } catch (e) {
+    return url;
+  }
+};
+
+// Send a progress event to the session's websocket.
+const reportProgress = (sessionId, { category, url, nextUrl, error }) => {
+  const now = Date.now();
+  const lastTime = lastProgressTimes[sessionId];
+  lastProgressTimes[sessionId] = now;
+  const { pageSequence } = sessionPlan(sessionId);
+  websocketSend(sessionId, { progress: {
+    step: sessions.getStep(sessionId),
+    totalSteps: pageSequence.length - 1,
+    category,
+    url: url && withoutSessionParams(url),
+    elapsedMs: lastTime === undefined ? undefined : now - lastTime,
+    nextUrl: nextUrl && withoutSessionParams(nextUrl),
+    error
+  }});
 };
 
 app.post('/post', (req, res) => {
   console.log("post received.");
-  let { sessionId, data, category } = req.body;
+  let { sessionId, token, data, category, url } = req.body;
   console.log("RECEIVED: ", category);
-  if (false) { // (!sessionId || !websockets[sessionId]) {
-    // We don't recognized this as an existing sessionId.
-    console.log(`Unknown sessionId '${sessionId}'; Sending 404.`);
-    res.sendStatus(404);
-  } else if (category === "supplementary" || category === "insecure" || category === "upgradable_address") {
+  const error = checkSession(sessionId, token);
+  const invalidData = error ? null : validate(category, data);
+  if (error) {
+    // We don't recognize this as an existing, properly signed session.
+    sendError(res, error);
+  } else if (invalidData) {
+    // Tell the runner too, because the page can't carry on.
+    reportProgress(sessionId, { category, url, error: { code: "invalid_data", message: invalidData } });
+    sendError(res, "invalid_data", invalidData);
+  } else if (!sessions.markPosted(sessionId, category)) {
+    // Each category is only posted once per session, so this is a replay.
+    reportProgress(sessionId, { category, url, error: { code: "replayed_post", message: errors.replayed_post[1] } });
+    sendError(res, "replayed_post");
+  } else if (forwardedCategories.includes(category) && !isSequencedStep(sessionId, category)) {
+    reportProgress(sessionId, { category, url });
     websocketSend(sessionId, data);
     res.json({}); // No instructions for page
   } else {
@@ -218,44 +744,110 @@ app.post('/post', (req, res) => {
     //console.log("received posted data. ", message.substr(0, 100) + "...");
     // Send an acknowledgment to the client that posted, and instructions
     // for the next step.
-    if (data !== undefined) {
-      accumulateResultData(sessionId, category, data);
+    accumulateResultData(sessionId, category, data);
+    if (sessions.getUserAgent(sessionId) === undefined && req.get("user-agent")) {
+      sessions.setUserAgent(sessionId, req.get("user-agent"));
     }
     const nextStepIndex = getNextStepIndex(sessionId);
+    const { pageSequence } = sessionPlan(sessionId);
     console.log({nextStepIndex, pageSequenceLength: pageSequence.length});
+    reportProgress(sessionId, { category, url, nextUrl: nextUrl(sessionId, token, nextStepIndex) });
     if (nextStepIndex >= pageSequence.length - 1) {
-      if (websockets[sessionId]) {
-        websocketSend(sessionId, processResults(sessionResults[sessionId]));
+      if (sessions.describeSession(sessionId).finished === undefined) {
+        sessions.markFinished(sessionId);
       }
-      console.log(Object.keys(sessionResults[sessionId]));
+      websocketSend(sessionId, processResults(sessions.getResults(sessionId)));
+      console.log(Object.keys(sessions.getResults(sessionId)));
     }
-    if (nextStepIndex === 1) {
-      if (websockets[sessionId]) {
-        websocketSend(sessionId, { supercookie_write_finished: true });
-      }
+    if (category === "supercookies_write_same") {
+      websocketSend(sessionId, { supercookie_write_finished: true,
+                                 navigateUrl: nextUrl(sessionId, token, nextStepIndex) });
     }
-    res.json({received: true, sessionId, navigateUrl: nextUrl(sessionId, nextStepIndex)});
+    // A visitor's session has no runner to move the browser on from
+    // pages that wait for one (see supercookies.html).
+    res.json({received: true, sessionId, navigateUrl: nextUrl(sessionId, token, nextStepIndex),
+              ...(sessionPlan(sessionId).visitor && { visitor: true })});
   }
 });
 
-app.listen(3335, () => console.log(`listening for data submissions`));
+app.listen(environment.ports.results, () => console.log(`listening for data submissions`));
+
+const wss = new WebSocketServer({ port: environment.ports.websocket });
+
+// A runner sent a test plan for its session. Build the session's page
+// sequence, and reply with the list of steps and the first page to visit.
+const receivePlan = (sessionId, token, plan) => {
+  if (sessions.getPlan(sessionId) !== undefined) {
+    websocketSend(sessionId, { plan_error: "The session already has a test plan." });
+    return;
+  }
+  let stepNames;
+  try {
+    stepNames = planSteps(plan);
+  } catch (e) {
+    websocketSend(sessionId, { plan_error: e.message });
+    return;
+  }
+  const pageSequence = buildPageSequence(stepNames);
+  sessions.setPlan(sessionId, { steps: stepNames, pageSequence });
+  // Only the final page means there is nothing for the browser to visit.
+  const firstUrl = pageSequence.length > 1 ? nextUrl(sessionId, token, 0) : null;
+  lastProgressTimes[sessionId] = Date.now();
+  websocketSend(sessionId, { plan: stepNames, firstUrl });
+};
 
-const wss = new WebSocketServer({ port: 3336 });
+wss.on('connection', function connection(ws, req) {
+  // A client that lost its connection can resume an existing session
+  // by passing ?sessionId=...&token=... in the websocket URL.
+  const searchParams = new URL(req.url, "ws://localhost").searchParams;
+  const requestedSessionId = searchParams.get("sessionId");
+  const resumed = requestedSessionId !== null &&
+        checkSession(requestedSessionId, searchParams.get("token")) === null;
+  // Otherwise, a new session. Create a sessionId and send it to the websocket client.
+  const sessionId = resumed ? requestedSessionId : uuidv4();
+  const token = resumed ? searchParams.get("token") : tokens.issue(sessionId);
+  if (!resumed) {
+    sessions.createSession(sessionId);
+  }
 
-wss.on('connection', function connection(ws) {
   ws.on('message', function incoming(message) {
+    sessions.touch(sessionId);
     try {
-      console.log('received: %s', JSON.parse(message));
+      const parsedMessage = JSON.parse(message);
+      console.log('received: %s', parsedMessage);
+      if (parsedMessage.plan) {
+        receivePlan(sessionId, token, parsedMessage.plan);
+      }
     } catch (e) {
       console.log(e, message);
     }
   });
+  ws.on('close', () => {
+    if (websockets[sessionId] === ws) {
+      delete websockets[sessionId];
+    }
+  });
 
-  // A new session. Create a sessionId and send it to the websocket client.
-  const sessionId = uuidv4();
-  const message = JSON.stringify({sessionId, "connected": true});
+  const message = JSON.stringify({sessionId, token, "connected": true, resumed,
+                                  schemaVersion: SCHEMA_VERSION});
   console.log("sending to ws:", message);
   websockets[sessionId] = ws;
   ws.send(message);
+  // Deliver anything that was sent while the client was away.
+  for (let pendingMessage of sessions.takeMessages(sessionId)) {
+    ws.send(pendingMessage);
+  }
 });
 
+// Periodically drop abandoned sessions, and close their websockets.
+setInterval(() => {
+  for (let sessionId of sessions.expire()) {
+    delete lastProgressTimes[sessionId];
+    if (websockets[sessionId]) {
+      websockets[sessionId].close();
+      delete websockets[sessionId];
+    }
+  }
+}, EXPIRY_INTERVAL_MS).unref();
+
+module.exports = { app, wss };
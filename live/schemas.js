@@ -0,0 +1,165 @@
+// # schemas.js: The shape of the data that test pages post
+//
+// Each category of posted data has a schema, and the results server
+// rejects any post that doesn't match, so that one misbehaving browser
+// can't break the processing of a whole run. A schema is a checker: a
+// function that takes a value and its path within the posted data, and
+// returns a list of problems (empty if the value is fine). Checkers are
+// built from the small combinators below. Extra fields are always allowed.
+//
+// Bump SCHEMA_VERSION whenever a schema changes in a way that affects
+// the results files written by the runner.
+
+const { verdictNames } = require('./verdicts.js');
+
+// Version 2: cross-site tests can name a verdict, and their processed
+// results have a status and reason instead of passed/testFailed/unsupported.
+// Version 3: so do bounce tracking, referrer and header fingerprinting
+// results, and the query results for each navigation method.
+const SCHEMA_VERSION = 3;
+
+// A short description of a value's type, for error messages
+// such as "data.passed should be a boolean, not a string".
+const describe = (value) => {
+  if (value === undefined) {
+    return "missing";
+  }
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "an array";
+  }
+  return typeof value === "object" ? "an object" : `a ${typeof value}`;
+};
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// ## Checkers
+
+// Accepts any value.
+const anything = () => [];
+
+// Accepts a value of the given typeof type, such as "string".
+const primitive = (type) => (value, path) =>
+  typeof value === type ? [] : [`${path} should be a ${type}, not ${describe(value)}`];
+
+const string = primitive("string");
+const boolean = primitive("boolean");
+
+// Accepts one of the given values.
+const oneOf = (values) => (value, path) =>
+  values.includes(value) ? [] : [`${path} should be one of ${values.join(", ")}, not ${JSON.stringify(value)}`];
+
+// Accepts undefined, or a value accepted by checker.
+const optional = (checker) => (value, path) =>
+  value === undefined ? [] : checker(value, path);
+
+// Accepts an object whose named fields are accepted by their checkers.
+const object = (fields) => (value, path) => {
+  if (!isPlainObject(value)) {
+    return [`${path} should be an object, not ${describe(value)}`];
+  }
+  return Object.keys(fields).flatMap(
+    field => fields[field](value[field], `${path}.${field}`));
+};
+
+// Accepts an object whose every value is accepted by checker.
+const mapOf = (checker) => (value, path) => {
+  if (!isPlainObject(value)) {
+    return [`${path} should be an object, not ${describe(value)}`];
+  }
+  return Object.keys(value).flatMap(
+    key => checker(value[key], `${path}[${JSON.stringify(key)}]`));
+};
+
+// ## Schemas
+
+// Results from test_utils.js: each test's write and read functions
+// (as source text), its description, the name of its verdict (if it has
+// its own), and the result it got.
+const partitionTests = mapOf(object({
+  write: string, read: string, description: string,
+  verdict: optional(oneOf(verdictNames())), result: anything
+}));
+
+// Tests that pass or fail, with a description of each.
+const passFailTests = mapOf(object({ passed: boolean, description: string }));
+
+// Tests with a status and the reason for it (as returned by verdicts),
+// and a description of each.
+const statusTests = mapOf(object({
+  status: oneOf(["passed", "failed", "unsupported", "error"]), reason: string, description: string
+}));
+
+// Map from each category to its schema.
+const schemas = {};
+
+// Use the schema for all of the named categories.
+const registerSchema = (categories, schema) => {
+  for (let category of categories) {
+    schemas[category] = schema;
+  }
+};
+
+registerSchema(["supercookies_write_same", "supercookies_read_same", "supercookies_read_different",
+                "navigation_write_same", "navigation_read_same", "navigation_read_different",
+                "permissions_write_same", "permissions_read_same", "permissions_read_different",
+                "persistence_restart_write", "persistence_restart_before", "persistence_restart_after",
+                "persistence_private_write", "persistence_private_before", "persistence_private_after"],
+               partitionTests);
+registerSchema(["misc", "https", "insecure", "upgradable_address", "upgradable_hyperlink"],
+               passFailTests);
+registerSchema(["fingerprinting"],
+               mapOf(object({ passed: boolean, description: optional(string) })));
+// Every query parameter that reached the page, whether the runner opened
+// it or a launcher page navigated to it (see queryNavigationMethods in
+// results.js). A launcher page that couldn't navigate posts only a
+// failure, and a click records who made it (see query_launch.js).
+const queryParameters = mapOf(string);
+const launchedQueryParameters = (value, path) => {
+  const problems = queryParameters(value, path);
+  return problems.length > 0 ? problems :
+    object({ clickedBy: optional(oneOf(["user", "script"])) })(value, path);
+};
+registerSchema(["query"], queryParameters);
+registerSchema(["query_link", "query_assign", "query_form", "query_redirect",
+                "query_window_open", "query_iframe_link"],
+               launchedQueryParameters);
+registerSchema(["bounce_tracking", "referrer", "header_fingerprinting"], statusTests);
+// What the embedded tracker saw in the Storage Access API tests (see
+// storage_access.js), and the signal that it's waiting for a click.
+registerSchema(["storage_access_write"], object({ written: boolean }));
+registerSchema(["storage_access_request", "storage_access_reload", "storage_access_other"], object({ supported: boolean }));
+registerSchema(["storage_access_ready"], object({ storage_access_ready: boolean }));
+// The signal that the tracker in the permission tests is waiting for a
+// click (see permissions.js).
+registerSchema(["permissions_ready"], object({ permissions_ready: boolean }));
+// The signal that a query navigation is waiting for a click (see
+// query_launch.js).
+registerSchema(["query_link_ready", "query_window_open_ready", "query_iframe_link_ready"],
+               object({ query_ready: boolean }));
+registerSchema(["supplementary"],
+               mapOf(object({ passed: optional(boolean), description: string })));
+
+// The most problems we list in one error message.
+const MAX_PROBLEMS_REPORTED = 5;
+
+// Check the data posted for a category. Returns null if it's valid,
+// or else a message explaining what's wrong.
+const validate = (category, data) => {
+  const schema = schemas[category];
+  if (schema === undefined) {
+    return `Unknown category ${JSON.stringify(category)}.`;
+  }
+  const problems = schema(data, "data");
+  if (problems.length === 0) {
+    return null;
+  }
+  const more = problems.length > MAX_PROBLEMS_REPORTED ?
+        ` (and ${problems.length - MAX_PROBLEMS_REPORTED} more)` : "";
+  return `Invalid ${category} data: ${problems.slice(0, MAX_PROBLEMS_REPORTED).join("; ")}${more}.`;
+};
+
+module.exports = { SCHEMA_VERSION, validate };
@@ -0,0 +1,197 @@
+// # sessions.js: Restart-safe storage for test sessions
+//
+// Each session records its test plan, the results posted by test pages,
+// the categories that have been posted, the index of the step it has
+// reached, the browser's user agent, when it finished, and any messages
+// that couldn't be delivered to the session's websocket. Sessions are kept
+// in memory and mirrored to an append-only log file with one JSON entry
+// per line. On startup the log is replayed, so a restarted server picks
+// up every in-flight session where it left off. Sessions that are inactive
+// for longer than `ttlMs` are expired, and the log is then compacted to
+// drop their entries. Finished sessions are kept for longer
+// (`finishedTtlMs`), so their results can be looked up later.
+
+const fs = require('fs');
+const path = require('path');
+
+// Defaults, overridden by the SESSIONS_LOG, SESSION_TTL_MS and
+// FINISHED_SESSION_TTL_MS environment variables (see results.js).
+const DEFAULT_LOG_FILE = path.join(__dirname, "sessions.log");
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_FINISHED_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// An empty session record.
+const newSession = (time) => ({
+  results: {}, posted: [], step: 0, pendingMessages: [], created: time, lastActive: time
+});
+
+// Apply a log entry to the map of sessions. (Mutates sessions.)
+const applyEntry = (sessions, entry) => {
+  const { op, sessionId, time } = entry;
+  if (op === "delete") {
+    delete sessions[sessionId];
+    return;
+  }
+  if (op === "restore") {
+    sessions[sessionId] = entry.session;
+    return;
+  }
+  if (sessions[sessionId] === undefined) {
+    sessions[sessionId] = newSession(time);
+  }
+  const session = sessions[sessionId];
+  session.lastActive = time;
+  if (op === "result") {
+    session.results[entry.category] = entry.data;
+  } else if (op === "plan") {
+    session.plan = entry.plan;
+  } else if (op === "posted") {
+    session.posted.push(entry.category);
+  } else if (op === "step") {
+    session.step = entry.step;
+  } else if (op === "message") {
+    session.pendingMessages.push(entry.message);
+  } else if (op === "delivered") {
+    session.pendingMessages = [];
+  } else if (op === "userAgent") {
+    session.userAgent = entry.userAgent;
+  } else if (op === "finished") {
+    session.finished = time;
+  }
+};
+
+// Read all sessions from a log file, skipping any line that
+// is corrupt (for example, if we crashed while writing it).
+const readLog = (logFile) => {
+  let sessions = {};
+  if (!fs.existsSync(logFile)) {
+    return sessions;
+  }
+  const lines = fs.readFileSync(logFile, "utf8").split("\n");
+  for (let line of lines) {
+    if (line.trim() === "") {
+      continue;
+    }
+    try {
+      applyEntry(sessions, JSON.parse(line));
+    } catch (e) {
+      console.log(`Skipping corrupt line in ${logFile}:`, line.substr(0, 100));
+    }
+  }
+  return sessions;
+};
+
+// Create a session store backed by the given log file.
+const createSessionStore = ({ logFile, ttlMs, finishedTtlMs } = {}) => {
+  logFile = logFile ?? DEFAULT_LOG_FILE;
+  ttlMs = ttlMs ?? DEFAULT_TTL_MS;
+  finishedTtlMs = finishedTtlMs ?? DEFAULT_FINISHED_TTL_MS;
+  let sessions = readLog(logFile);
+  console.log(`Restored ${Object.keys(sessions).length} sessions from ${logFile}`);
+
+  // Record an entry in memory and in the log.
+  const record = (entry) => {
+    entry.time = Date.now();
+    applyEntry(sessions, entry);
+    fs.appendFileSync(logFile, JSON.stringify(entry) + "\n");
+  };
+
+  // Rewrite the log so that it holds only the current sessions.
+  const compact = () => {
+    const tempFile = `${logFile}.tmp`;
+    const lines = Object.keys(sessions).map(
+      sessionId => JSON.stringify({ op: "restore", sessionId, session: sessions[sessionId] }) + "\n");
+    fs.writeFileSync(tempFile, lines.join(""));
+    fs.renameSync(tempFile, logFile);
+  };
+
+  // Remove all sessions that have been inactive for longer than ttlMs
+  // (or finishedTtlMs, for finished sessions). Returns a list of the
+  // sessionIds that were expired.
+  const expire = () => {
+    const now = Date.now();
+    const expired = Object.keys(sessions).filter(sessionId => {
+      const { lastActive, finished } = sessions[sessionId];
+      return now - lastActive > (finished ? finishedTtlMs : ttlMs);
+    });
+    for (let sessionId of expired) {
+      delete sessions[sessionId];
+    }
+    if (expired.length > 0) {
+      compact();
+      console.log(`Expired ${expired.length} sessions.`);
+    }
+    return expired;
+  };
+
+  return {
+    // Start a new, empty session.
+    createSession: (sessionId) => record({ op: "create", sessionId }),
+    // True if the session exists and hasn't expired.
+    hasSession: (sessionId) => sessions[sessionId] !== undefined,
+    // Note that the session is still in use, so it won't be expired.
+    touch: (sessionId) => {
+      if (sessions[sessionId]) {
+        sessions[sessionId].lastActive = Date.now();
+      }
+    },
+    // Returns the map of category to data posted for the session.
+    getResults: (sessionId) => sessions[sessionId]?.results,
+    // Returns the session's test plan, if it has one.
+    getPlan: (sessionId) => sessions[sessionId]?.plan,
+    // Store the session's test plan.
+    setPlan: (sessionId, plan) => record({ op: "plan", sessionId, plan }),
+    // Store the data for a particular category.
+    setResult: (sessionId, category, data) => record({ op: "result", sessionId, category, data }),
+    // Note that a category has been posted to the session. Returns false
+    // if it had already been posted before.
+    markPosted: (sessionId, category) => {
+      if (sessions[sessionId].posted.includes(category)) {
+        return false;
+      }
+      record({ op: "posted", sessionId, category });
+      return true;
+    },
+    // Returns the index of the step the session has reached.
+    getStep: (sessionId) => sessions[sessionId]?.step,
+    // Advance the session to its next step, and return that step's index.
+    nextStep: (sessionId) => {
+      const step = (sessions[sessionId]?.step ?? 0) + 1;
+      record({ op: "step", sessionId, step });
+      return step;
+    },
+    // Record the user agent of the browser running the session's tests.
+    setUserAgent: (sessionId, userAgent) => record({ op: "userAgent", sessionId, userAgent }),
+    // Returns the user agent recorded for the session, if any.
+    getUserAgent: (sessionId) => sessions[sessionId]?.userAgent,
+    // Note that all of the session's results are in.
+    markFinished: (sessionId) => record({ op: "finished", sessionId }),
+    // Returns the sessionIds of all finished sessions, most recent first.
+    finishedSessions: () => Object.keys(sessions)
+      .filter(sessionId => sessions[sessionId].finished !== undefined)
+      .sort((a, b) => sessions[b].finished - sessions[a].finished),
+    // Returns a summary of a session: when it was created and finished,
+    // its user agent, and the categories posted to it.
+    describeSession: (sessionId) => {
+      const session = sessions[sessionId];
+      if (session === undefined) {
+        return undefined;
+      }
+      const { created, finished, userAgent, posted } = session;
+      return { sessionId, userAgent, created, finished, categories: posted };
+    },
+    // Hold on to a message until the session's websocket reconnects.
+    queueMessage: (sessionId, message) => record({ op: "message", sessionId, message }),
+    // Returns all queued messages for the session, and forgets them.
+    takeMessages: (sessionId) => {
+      const messages = sessions[sessionId]?.pendingMessages ?? [];
+      if (messages.length > 0) {
+        record({ op: "delivered", sessionId });
+      }
+      return messages;
+    },
+    expire,
+  };
+};
+
+module.exports = { createSessionStore };
@@ -1,55 +1,246 @@
+// # tls.js: Tracking with TLS session resumption
+//
+// A browser that resumes a TLS session presents a session ticket that the
+// server issued on an earlier connection. If tickets aren't partitioned by
+// top-level site, a ticket issued while the user visited one website can
+// be presented while they visit another, linking the two visits.
+//
+// This server issues TLS 1.3 session tickets (encrypted with ticket keys
+// that only it knows) and, for each connection, decrypts the ticket that
+// the browser presents in its ClientHello. A ticket contains the session it
+// resumes, and every ticket that descends from the same full handshake
+// carries the same session ID, so we remember which site (the `site` query
+// parameter) first used each session and report which site's ticket a
+// connection resumed. We also report whether the browser attempted 0-RTT
+// early data (which we never accept).
+
+const crypto = require('crypto');
 const https = require('https');
 const fs = require('fs');
+const net = require('net');
+const { loadEnvironment } = require('../environments');
 
+const environment = loadEnvironment();
+const { key, cert } = environment.certificates.tls;
+const port = environment.ports.tls;
 
-const START_SESSION_ID = 16;
-const START_MASTER_KEY = 50;
+// Node splits the ticket keys into a 16-byte key name, a 16-byte HMAC
+// secret and a 16-byte AES key, and issues tickets in OpenSSL's format:
+// key name, IV, AES-128-CBC encrypted session, HMAC-SHA256.
+const ticketKeys = crypto.randomBytes(48);
+const ticketKeyName = ticketKeys.subarray(0, 16);
+const ticketHmacKey = ticketKeys.subarray(16, 32);
+const ticketAesKey = ticketKeys.subarray(32, 48);
 
-let parseSession = (buf) => ({
-  sessionId: buf.slice(START_SESSION_ID, START_SESSION_ID+32).toString('hex'),
-  masterKey: buf.slice(START_MASTER_KEY, START_MASTER_KEY+48).toString('hex')
-});
+// TLS extension numbers.
+const EXTENSION_PRE_SHARED_KEY = 41;
+const EXTENSION_EARLY_DATA = 42;
 
-const options = {
-  key: fs.readFileSync('/etc/letsencrypt/live/tls.arthuredelstein.net/privkey.pem'),
-  cert: fs.readFileSync('/etc/letsencrypt/live/tls.arthuredelstein.net/fullchain.pem')
+// ## DER
+
+// Reads the DER element at offset, returning { tag, start, end } where
+// start and end delimit its contents.
+const readDer = (buffer, offset) => {
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    length = buffer.readUIntBE(start, lengthBytes);
+    start += lengthBytes;
+  }
+  return { tag, start, end: start + length };
+};
+
+// An OpenSSL session is a DER SEQUENCE of version, protocol version,
+// cipher, session ID and master key (and more). Returns the session ID
+// in hex.
+const sessionIdFromDer = (der) => {
+  const sequence = readDer(der, 0);
+  let element = { end: sequence.start };
+  for (let i = 0; i < 4; ++i) {
+    element = readDer(der, element.end);
+  }
+  return der.subarray(element.start, element.end).toString('hex');
+};
+
+// ## ClientHello
+
+// The number of bytes in the TLS record at the start of buffer, or
+// undefined if we don't have its header yet.
+const recordLength = (buffer) => buffer.length < 5 ? undefined : 5 + buffer.readUInt16BE(3);
+
+// Returns the extensions in the ClientHello record at the start of buffer,
+// as { [extension number]: data }, or {} if it isn't a (complete) ClientHello.
+// Anyone can send us anything, so every length is checked against the buffer.
+const clientHelloExtensions = (buffer) => {
+  const extensions = {};
+  // Record header (5 bytes), handshake header (4 bytes), then
+  // legacy_version (2 bytes) and random (32 bytes).
+  if (buffer.length < 6 || buffer[0] !== 22 || buffer[5] !== 1) {
+    return extensions;
+  }
+  let position = 5 + 4 + 2 + 32;
+  // Skip a field with a length prefix of the given size (1 or 2 bytes).
+  // Returns false if the field runs past the end of the buffer.
+  const skip = (prefixSize) => {
+    if (position + prefixSize > buffer.length) {
+      return false;
+    }
+    position += prefixSize + buffer.readUIntBE(position, prefixSize);
+    return position <= buffer.length;
+  };
+  // legacy_session_id, cipher_suites, legacy_compression_methods
+  if (!skip(1) || !skip(2) || !skip(1) || position + 2 > buffer.length) {
+    return extensions;
+  }
+  const end = Math.min(position + 2 + buffer.readUInt16BE(position), buffer.length);
+  position += 2;
+  while (position + 4 <= end) {
+    const type = buffer.readUInt16BE(position);
+    const length = buffer.readUInt16BE(position + 2);
+    if (position + 4 + length > end) {
+      break;
+    }
+    extensions[type] = buffer.subarray(position + 4, position + 4 + length);
+    position += 4 + length;
+  }
+  return extensions;
 };
 
-let lastRequest = null;
+// Returns the first ticket offered in a pre_shared_key extension.
+const firstPskIdentity = (data) => {
+  // identities length (2 bytes), then identity length (2 bytes).
+  const length = data.readUInt16BE(2);
+  return data.subarray(4, 4 + length);
+};
+
+// Decrypts a ticket we issued, returning the ID of the session it resumes,
+// or undefined if it isn't one of ours.
+const ticketSessionId = (ticket) => {
+  if (ticket.length < 16 + 16 + 32 || !ticket.subarray(0, 16).equals(ticketKeyName)) {
+    return undefined;
+  }
+  const mac = ticket.subarray(ticket.length - 32);
+  const expectedMac = crypto.createHmac('sha256', ticketHmacKey)
+        .update(ticket.subarray(0, ticket.length - 32)).digest();
+  if (!crypto.timingSafeEqual(mac, expectedMac)) {
+    return undefined;
+  }
+  const decipher = crypto.createDecipheriv('aes-128-cbc', ticketAesKey, ticket.subarray(16, 32));
+  const der = Buffer.concat([decipher.update(ticket.subarray(32, ticket.length - 32)), decipher.final()]);
+  return sessionIdFromDer(der);
+};
+
+// What a ClientHello tells us: { offeredTicket, ticketSessionId, earlyData }.
+const inspectClientHello = (buffer) => {
+  const extensions = clientHelloExtensions(buffer);
+  const psk = extensions[EXTENSION_PRE_SHARED_KEY];
+  let sessionId;
+  try {
+    sessionId = psk ? ticketSessionId(firstPskIdentity(psk)) : undefined;
+  } catch (e) {
+    console.log("Couldn't read the offered ticket:", e.message);
+  }
+  return { offeredTicket: psk !== undefined,
+           ticketSessionId: sessionId,
+           earlyData: extensions[EXTENSION_EARLY_DATA] !== undefined };
+};
+
+// ## Server
+
+// How long (in seconds) tickets can be used to resume a session.
+const SESSION_TIMEOUT_S = 300;
+
+// The site that first used each session: { [sessionId]: { site, created } }.
+const sessionSites = {};
+
+// Forget sessions that can no longer be resumed.
+setInterval(() => {
+  const now = Date.now();
+  for (let sessionId of Object.keys(sessionSites)) {
+    if (now - sessionSites[sessionId].created > SESSION_TIMEOUT_S * 1000) {
+      delete sessionSites[sessionId];
+    }
+  }
+}, SESSION_TIMEOUT_S * 1000).unref();
+
+const options = {
+  key: fs.readFileSync(key),
+  cert: fs.readFileSync(cert),
+  ticketKeys,
+  sessionTimeout: SESSION_TIMEOUT_S
+};
 
 let theServer = https.createServer(options, function (req, res) {
-  let result = { isSessionReused: req.socket.isSessionReused(),
-                 sessionId: parseSession(req.socket.getSession()).sessionId };
+  const site = new URL(req.url, "https://localhost").searchParams.get("site") ?? undefined;
+  const clientHello = clientHellos.get(req.socket.remotePort) ?? {};
+  const sessionId = sessionIdFromDer(req.socket.getSession());
+  const resumed = req.socket.isSessionReused();
+  const resumedFrom = resumed ?
+        (sessionSites[clientHello.ticketSessionId ?? sessionId]?.site ?? "unknown") : "none";
+  if (site && sessionSites[sessionId] === undefined) {
+    sessionSites[sessionId] = { site, created: Date.now() };
+  }
+  let result = { protocol: req.socket.getProtocol(),
+                 isSessionReused: resumed,
+                 sessionId,
+                 offeredTicket: clientHello.offeredTicket,
+                 resumedFrom,
+                 crossSite: resumed && site !== undefined && resumedFrom !== site,
+                 earlyData: clientHello.earlyData };
   res.writeHead(200, { 'Content-Type': 'application/json',
                        'Cache-Control': 'no-store',
                        'Access-Control-Allow-Origin': '*'});
   res.end(JSON.stringify(result));
-  console.log("response sent");
+  console.log("tls result:", result);
+  // Make the next request open a new connection, so it has to resume.
   req.socket.destroy();
-//  console.log(req);
-  lastRequest = req;
-});
-
-console.log("eventNames", theServer.eventNames());
-
-theServer.on('keylog', (line, tlsSocket) => {
-//  console.log(line.toString());
 });
 
-theServer.on('newSession', (sessionId, sessionData, callback) => {
-  let results = { sessionId: sessionId.toString("hex"),
-                  sessionData: sessionData.toString("hex")};
-//  console.log(results);
-  callback();
-});
+// The ClientHellos of the connections we have handed over to the TLS
+// server, by the local port of the hand-over connection.
+const clientHellos = new Map();
 
-theServer.on('secureConnection', (tlsSocket) => {
-  let session = tlsSocket.getSession();
-  console.log(tlsSocket.isSessionReused(), parseSession(session));
-//  console.log(buffer, buffer.length);
-//  console.log(tlsSocket.getTLSTicket());
+// We read each connection's ClientHello before the TLS server does, then
+// hand the connection over to the TLS server (which listens on a local
+// port), replaying what we read.
+let frontServer = net.createServer((socket) => {
+  let received = Buffer.alloc(0);
+  const onData = (chunk) => {
+    received = Buffer.concat([received, chunk]);
+    const length = recordLength(received);
+    if (length === undefined || received.length < length) {
+      return;
+    }
+    socket.off('data', onData);
+    socket.pause();
+    // If the ClientHello can't be read, pass the connection through
+    // uninspected: the TLS server will deal with it.
+    let clientHello;
+    try {
+      clientHello = inspectClientHello(received);
+    } catch (e) {
+      console.log("Couldn't inspect the ClientHello:", e.message);
+      clientHello = { offeredTicket: false, ticketSessionId: undefined, earlyData: false };
+    }
+    const upstream = net.connect(theServer.address().port, "127.0.0.1", () => {
+      const { localPort } = upstream;
+      clientHellos.set(localPort, clientHello);
+      upstream.on('close', () => clientHellos.delete(localPort));
+      upstream.write(received);
+      socket.pipe(upstream).pipe(socket);
+      socket.resume();
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('close', () => upstream.destroy());
+  };
+  socket.on('data', onData);
+  socket.on('error', error => console.log("tls connection error:", error.message));
 });
 
 theServer.keepAliveTimeout = 300000;
-theServer.listen(8900);
-console.log("listening for tls connections on 8900");
+theServer.listen(0, "127.0.0.1", () => {
+  frontServer.listen(port);
+  console.log(`listening for tls connections on ${port}`);
+});
@@ -0,0 +1,78 @@
+// # tokens.js: Signed session tokens
+//
+// When a runner opens a websocket, the results server creates a session
+// and gives it a token of the form `<expiry>.<signature>`, where the
+// signature is an HMAC over the sessionId and expiry. Test pages pass the
+// token back with every post, so that nobody who merely knows (or guesses)
+// a sessionId can post data into that session.
+//
+// Looking up other people's sessions needs the admin secret instead, which
+// is only set (by ADMIN_SECRET) on servers where someone should be able to.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Where we keep the signing secret if SESSION_SECRET isn't set.
+const DEFAULT_SECRET_FILE = path.join(__dirname, "session-secret");
+
+// Read the signing secret, generating and saving a new one if needed. The
+// secret must survive restarts, or resumed sessions would lose their tokens.
+const loadSecret = (secretFile = DEFAULT_SECRET_FILE) => {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  if (!fs.existsSync(secretFile)) {
+    fs.writeFileSync(secretFile, crypto.randomBytes(32).toString("hex"), { mode: 0o600 });
+  }
+  return fs.readFileSync(secretFile, "utf8").trim();
+};
+
+// The HMAC signature for a sessionId and expiry time.
+const sign = (secret, sessionId, expiry) =>
+  crypto.createHmac("sha256", secret).update(`${sessionId}.${expiry}`).digest("hex");
+
+// Create an object that issues and verifies tokens, each valid for lifetimeMs.
+const createTokenSigner = ({ secret, lifetimeMs }) => ({
+  // Returns a new token for the sessionId.
+  issue: (sessionId) => {
+    const expiry = Date.now() + lifetimeMs;
+    return `${expiry}.${sign(secret, sessionId, expiry)}`;
+  },
+  // Checks the token for the sessionId. Returns null if the token is
+  // good, or an error code ("missing_token", "invalid_token" or
+  // "expired_token") if not.
+  verify: (sessionId, token) => {
+    if (!token) {
+      return "missing_token";
+    }
+    // Tokens come from query strings and posted JSON, so they can be
+    // anything: an array, a number, or a string of multi-byte characters.
+    if (typeof token !== "string") {
+      return "invalid_token";
+    }
+    const [expiry, signature] = token.split(".");
+    const expected = sign(secret, sessionId, expiry);
+    if (!signature || Buffer.byteLength(signature) !== Buffer.byteLength(expected) ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return "invalid_token";
+    }
+    if (Number(expiry) < Date.now()) {
+      return "expired_token";
+    }
+    return null;
+  }
+});
+
+// Checks an `Authorization: Bearer <secret>` header against the admin
+// secret. Always fails if there is no admin secret.
+const isAdmin = (authorization, adminSecret = process.env.ADMIN_SECRET) => {
+  if (!adminSecret || !authorization?.startsWith("Bearer ")) {
+    return false;
+  }
+  const given = Buffer.from(authorization.slice("Bearer ".length));
+  const expected = Buffer.from(adminSecret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = { createTokenSigner, loadSecret, isAdmin };
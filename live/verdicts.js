@@ -0,0 +1,207 @@
+// # verdicts.js: Deciding whether a cross-site test passed
+//
+// A supercookie or navigation test writes a value on one first party,
+// then reads it back on the same first party and on a different one.
+// A verdict function takes what the three pages got:
+//
+// { writeResult, readSameFirstParty, readDifferentFirstParty }
+//
+// (each is the test's result on that page, with errors as strings
+// starting with "Error: "), and returns { status, reason }, where status
+// is one of:
+//
+// * "passed": the value didn't leak to the different first party.
+// * "failed": the value leaked.
+// * "unsupported": the browser doesn't have the feature being tested.
+// * "error": the test didn't work, so we can't tell.
+//
+// and reason explains the status in a sentence. A test definition in the
+// test pages picks its verdict by name (for example, `verdict: "hsts"`);
+// tests that don't name one get the default.
+
+const verdicts = {};
+
+// Make a verdict function available under the given name.
+const registerVerdict = (name, verdictFunction) => {
+  verdicts[name] = verdictFunction;
+};
+
+const isError = (result, message = "") =>
+  typeof result === "string" && result.startsWith(`Error: ${message}`);
+
+// The original heuristic: the test passed if the two first parties read
+// different values (or both failed to fetch).
+registerVerdict("default", ({ writeResult, readSameFirstParty, readDifferentFirstParty }) => {
+  if (isError(writeResult, "Unsupported")) {
+    return { status: "unsupported", reason: "The write reported that the feature is unsupported." };
+  }
+  if (isError(readSameFirstParty, "No requests received") ||
+      isError(readSameFirstParty, "image load failed")) {
+    return { status: "unsupported", reason: `The read on the same first party got "${readSameFirstParty}".` };
+  }
+  const sameFailedToFetch = isError(readSameFirstParty, "Failed to fetch");
+  const differentFailedToFetch = isError(readDifferentFirstParty, "Failed to fetch");
+  if (!readSameFirstParty || (isError(readSameFirstParty) && !sameFailedToFetch)) {
+    return { status: "error", reason: `The read on the same first party got "${readSameFirstParty}".` };
+  }
+  if (sameFailedToFetch && differentFailedToFetch) {
+    return { status: "passed", reason: "Both reads failed to fetch." };
+  }
+  if (readSameFirstParty !== readDifferentFirstParty) {
+    return { status: "passed", reason: "The two first parties read different values." };
+  }
+  return { status: "failed", reason: "The two first parties read the same value." };
+});
+
+// HSTS: the read loads an image over http, which only succeeds if the
+// browser remembered to upgrade it to https.
+registerVerdict("hsts", ({ readSameFirstParty, readDifferentFirstParty }) => {
+  if (readSameFirstParty !== "image load succeeded") {
+    return { status: "unsupported",
+             reason: "The http image didn't load even on the first party that set HSTS." };
+  }
+  if (readDifferentFirstParty === "image load succeeded") {
+    return { status: "failed", reason: "HSTS set on one first party upgraded a request on another." };
+  }
+  return { status: "passed", reason: "HSTS set on one first party had no effect on another." };
+});
+
+// Caches that are observed by counting requests to the server: the read
+// returns the number of requests so far. A cached resource isn't
+// requested again, so a leak shows up as no new request on the different
+// first party.
+registerVerdict("requestCount", ({ readSameFirstParty, readDifferentFirstParty }) => {
+  if (isError(readSameFirstParty, "No requests received")) {
+    return { status: "unsupported", reason: "The resource was never requested." };
+  }
+  const sameCount = Number(readSameFirstParty);
+  const differentCount = Number(readDifferentFirstParty);
+  if (Number.isNaN(sameCount) || Number.isNaN(differentCount)) {
+    return { status: "error", reason: "A read didn't return a request count." };
+  }
+  if (sameCount > 1) {
+    return { status: "unsupported", reason: "The resource wasn't cached even on the same first party." };
+  }
+  if (differentCount > sameCount) {
+    return { status: "passed", reason: "The different first party requested the resource again." };
+  }
+  return { status: "failed", reason: "The different first party used the cached resource." };
+});
+
+// TLS session tickets: each read reports which first party ("same" or
+// "different") first used the TLS session that its connection resumed, or
+// "none", followed by " (0-RTT)" if the browser attempted early data.
+registerVerdict("tlsTicket", ({ readSameFirstParty, readDifferentFirstParty }) => {
+  if (isError(readSameFirstParty) || isError(readDifferentFirstParty)) {
+    return { status: "error", reason: "A page couldn't reach the TLS server." };
+  }
+  const resumedFrom = (read) => String(read).replace(/ \(0-RTT\)$/, "");
+  if (resumedFrom(readSameFirstParty) !== "same") {
+    return { status: "unsupported",
+             reason: "The TLS session wasn't resumed even on the same first party." };
+  }
+  if (resumedFrom(readDifferentFirstParty) === "same") {
+    return { status: "failed",
+             reason: "The different first party resumed a TLS session with a ticket issued on the first one." };
+  }
+  return { status: "passed", reason: "The different first party didn't resume the first one's TLS session." };
+});
+
+// Revalidation: each read reports the validator (such as an ETag) that
+// the browser sent when it revalidated the resource, or "none".
+registerVerdict("revalidation", ({ readSameFirstParty, readDifferentFirstParty }) => {
+  if (isError(readSameFirstParty) || isError(readDifferentFirstParty)) {
+    return { status: "error", reason: "The resource failed to load." };
+  }
+  if (readSameFirstParty === "none") {
+    return { status: "unsupported",
+             reason: "The browser didn't revalidate the resource even on the same first party." };
+  }
+  if (readDifferentFirstParty === readSameFirstParty) {
+    return { status: "failed", reason: "The different first party sent back the same validator." };
+  }
+  return { status: "passed", reason: "The different first party didn't send back the validator." };
+});
+
+// HTTP/2 connection coalescing: each read reports the tag written on the
+// connection it reused, or "none" if it didn't reuse the written one.
+registerVerdict("coalescing", ({ readSameFirstParty, readDifferentFirstParty }) => {
+  if (isError(readSameFirstParty) || isError(readDifferentFirstParty)) {
+    return { status: "error", reason: "A page couldn't reach the HTTP/2 server." };
+  }
+  if (readSameFirstParty === "none") {
+    return { status: "unsupported",
+             reason: "The browser didn't coalesce the two hostnames' connections even on the same first party." };
+  }
+  if (readDifferentFirstParty === readSameFirstParty) {
+    return { status: "failed",
+             reason: "The different first party reused a connection opened for another hostname on the first one." };
+  }
+  return { status: "passed", reason: "The different first party didn't reuse the first one's connection." };
+});
+
+// Cookies: each read reports the cookie's value through two channels, as
+// "document.cookie: <value>, Cookie header: <value>" (with "none" for a
+// missing cookie). The cookie leaked if the different first party reads
+// the same value as the first one through either channel.
+registerVerdict("cookie", ({ readSameFirstParty, readDifferentFirstParty }) => {
+  if (isError(readSameFirstParty) || isError(readDifferentFirstParty)) {
+    return { status: "error", reason: "A read failed." };
+  }
+  const channels = (read) => {
+    const match = String(read).match(/^document\.cookie: (.*), Cookie header: (.*)$/);
+    return match ? { "document.cookie": match[1], "the Cookie header": match[2] } : undefined;
+  };
+  const same = channels(readSameFirstParty);
+  const different = channels(readDifferentFirstParty);
+  if (same === undefined || different === undefined) {
+    return { status: "error", reason: "A read didn't report the cookie's channels." };
+  }
+  const readable = Object.keys(same).filter(channel => same[channel] !== "none");
+  if (readable.length === 0) {
+    return { status: "unsupported", reason: "The cookie couldn't be read even on the same first party." };
+  }
+  const leaked = readable.filter(channel => different[channel] === same[channel]);
+  if (leaked.length > 0) {
+    return { status: "failed", reason: `The different first party read the cookie through ${leaked.join(" and ")}.` };
+  }
+  return { status: "passed", reason: "The different first party couldn't read the cookie." };
+});
+
+// Permission state: each read reports the state of a permission
+// ("granted", "denied" or "prompt") as the tracker sees it, and the write
+// reports the state before and after the runner answered a prompt, as
+// "prompt -> granted". A grant or denial that the test made on the first
+// party shouldn't be visible on the different one. We can't tell anything
+// from a permission that the test didn't set: some are denied by default
+// everywhere, for instance.
+registerVerdict("permission", ({ writeResult, readSameFirstParty, readDifferentFirstParty }) => {
+  if (isError(writeResult, "Unsupported") ||
+      isError(readSameFirstParty, "Unsupported") || isError(readDifferentFirstParty, "Unsupported")) {
+    return { status: "unsupported", reason: "The browser can't query this permission." };
+  }
+  if (isError(writeResult) || isError(readSameFirstParty) || isError(readDifferentFirstParty)) {
+    return { status: "error", reason: "A permission query failed." };
+  }
+  const [before, after] = String(writeResult).split(" -> ");
+  if (before !== "prompt" || after === "prompt" || after === undefined) {
+    return { status: "unsupported",
+             reason: `The test didn't grant or deny the permission (it went from "${before}" to "${after}").` };
+  }
+  if (readSameFirstParty !== after) {
+    return { status: "error", reason: "The permission's state changed on the first party after the test set it." };
+  }
+  if (readDifferentFirstParty === readSameFirstParty) {
+    return { status: "failed",
+             reason: `The different first party saw the permission ${readSameFirstParty} on the first one.` };
+  }
+  return { status: "passed", reason: "The different first party didn't see the first one's permission state." };
+});
+
+// The names of all verdicts.
+const verdictNames = () => Object.keys(verdicts);
+
+// Apply the named verdict (or the default) to a test's results.
+const judge = (name, results) => verdicts[name ?? "default"](results);
+
+module.exports = { judge, verdictNames };
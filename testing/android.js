@@ -187,6 +187,12 @@ class AndroidBrowser {
   async kill() {
     await this.client.terminateApp(this.packageName);
   }
+  // We can't open private tabs on Android, so the browser stays in
+  // whatever mode it starts in. Returns false, so that the runner skips
+  // the tests that need a private window.
+  setIncognito(incognito) {
+    return false;
+  }
   async clickContent() {
     let theWebView;
     if (this.contentElement) {
@@ -197,6 +203,16 @@ class AndroidBrowser {
     }
     await this.client.elementClick(theWebView);
   }
+  // Accept a permission prompt, such as a storage access prompt, by
+  // tapping its "Allow" button, if there is one.
+  async acceptPrompt() {
+    try {
+      const allowButton = await this.client.findElement("xpath", '//*[@text="Allow" or @text="ALLOW"]');
+      await this.client.elementClick(allowButton.ELEMENT);
+    } catch (e) {
+      console.log("No prompt to accept:", e.message);
+    }
+  }
 }
 
 module.exports = { AndroidBrowser };
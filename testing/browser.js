@@ -145,9 +145,11 @@ class Browser {
     await sleepMs(this._defaults.preLaunchDelay ?? 0);
     console.log(this._defaults);
     const { createProfile, profile } = this._defaults;
-    if (createProfile) {
+    // Only create the profile once, so that a relaunch keeps its state.
+    if (createProfile && !this._launched) {
       execSync(`"${this._path}" ${createProfile} ${"pto"}`);
     }
+    this._launched = true;
     this._process = exec(this._command);
     await sleepMs(this._defaults.postLaunchDelay ?? 0);
     await sleepMs(5000);
@@ -156,6 +158,23 @@ class Browser {
         await sleepMs(5000);
     }
   }
+  // Use a private window (or not) from the next launch on. Returns
+  // whether the browser will use the requested mode: we can only open a
+  // private window in browsers with a private flag or command, and Tor
+  // Browser is always private.
+  setIncognito(incognito) {
+    const { privateFlag, incognitoCommand } = this._defaults;
+    if (this.browser === "tor") {
+      return incognito;
+    }
+    if (!privateFlag && !incognitoCommand) {
+      return !incognito;
+    }
+    this.incognito = incognito;
+    this._command = browserCommand({browser: this.browser, path: this._path, incognito,
+                                    tor: this.tor, appPath: this._appPath});
+    return true;
+  }
   // Get the browser version.
   async version() {
     if (!this._version) {
@@ -172,6 +191,18 @@ class Browser {
   async openUrl(url) {
     exec(`${this._command} "${url}"`);
   }
+  // Click in the middle of the screen, where the test pages put anything
+  // that needs a user gesture.
+  async clickContent() {
+    const { width, height } = robot.getScreenSize();
+    robot.moveMouse(Math.round(width / 2), Math.round(height / 2));
+    robot.mouseClick();
+  }
+  // Accept a permission prompt, such as a storage access prompt, by
+  // pressing Return (which picks the prompt's default button).
+  async acceptPrompt() {
+    robot.keyTap("enter");
+  }
   // Clean up and close the browser.
   async kill() {
     try {
@@ -182,6 +182,15 @@ class iOSBrowser {
     let theWebView = await findElementWithClass(this.client, "XCUIElementTypeWebView");
     await this.client.elementClick(theWebView);
   }
+  // Accept a permission prompt, such as a storage access prompt, by
+  // tapping its "Allow" button, if there is one.
+  async acceptPrompt() {
+    try {
+      await clickElementWithName(this.client, "Allow");
+    } catch (e) {
+      console.log("No prompt to accept:", e.message);
+    }
+  }
 }
 
 module.exports = { iOSBrowser };
@@ -0,0 +1,103 @@
+// # Bounce tracking
+//
+// In "start" mode (on one first party), sends the browser through the
+// bounce tracker (the caching server, on the environment's
+// bounceTrackerRoot, a site no other test visits) on its way to this page
+// in "check" mode on the other first party. The tracker sets a cookie,
+// redirects with a 302, stores an identifier in localStorage, and
+// redirects with a script (see /bounce in live/caching.js). In "check"
+// mode, embeds the tracker as a third party and reports whether its
+// cookie and identifier survived.
+
+// How long to wait for the embedded tracker to report.
+const CHECK_TIMEOUT_MS = 8000;
+
+const urlParams = new URLSearchParams(window.location.search);
+const mode = urlParams.get("mode");
+const sessionId = urlParams.get("sessionId");
+
+const descriptions = {
+  cookie: "Checks whether a cookie set by a site that the browser merely bounced through (redirected via that site, without the user interacting with it) is still available to that site later, when it is embedded as a third party.",
+  storage: "Checks whether an identifier stored in localStorage by a site that the browser merely bounced through (redirected via that site, without the user interacting with it) is still available to that site later, when it is embedded as a third party.",
+};
+
+// Go through the tracker to the check page, on the other first party.
+const bounce = () => {
+  const checkUrl = new URL(`${ENVIRONMENT.iframeRootSame}/bounce.html${location.search}`);
+  checkUrl.searchParams.set("mode", "check");
+  const trackerUrl = new URL(`${ENVIRONMENT.bounceTrackerRoot}/bounce`);
+  trackerUrl.searchParams.set("key", sessionId);
+  trackerUrl.searchParams.set("next", checkUrl.href);
+  location.assign(trackerUrl.href);
+};
+
+// Embed the tracker, and resolve to what it reports:
+// { cookieSent, cookieReadable, stored }.
+const checkTracker = () => new Promise((resolve, reject) => {
+  const timeout = setTimeout(() => reject(new Error("The tracker didn't report")), CHECK_TIMEOUT_MS);
+  window.addEventListener("message", ({ data }) => {
+    if (data?.bounceCheck) {
+      clearTimeout(timeout);
+      resolve(data.bounceCheck);
+    }
+  });
+  const iframe = document.createElement("iframe");
+  iframe.src = `${ENVIRONMENT.bounceTrackerRoot}/bounce_check?key=${sessionId}`;
+  document.body.appendChild(iframe);
+});
+
+// How many times the browser visited the tracker. (A browser that skips
+// known bounce trackers never visits it.)
+const trackerVisits = async () => {
+  const response = await fetch(`${ENVIRONMENT.liveRoot}/ctr?key=${sessionId}&type=bounce`);
+  return Number(await response.text());
+};
+
+// The status and reason for one kind of state, given whether the
+// tracker could still see it.
+const judge = (survived, what, trackerVisited) => {
+  if (survived) {
+    return { status: "failed", reason: `The tracker could still read its ${what} as a third party.` };
+  }
+  if (!trackerVisited) {
+    return { status: "passed", reason: "The browser skipped the bounce tracker altogether." };
+  }
+  return { status: "passed", reason: `The tracker's ${what} didn't survive the bounce.` };
+};
+
+const runTests = async () => {
+  let cookie, storage;
+  try {
+    const [{ cookieSent, cookieReadable, stored }, visits] =
+          await Promise.all([checkTracker(), trackerVisits()]);
+    const trackerVisited = visits > 0;
+    cookie = { ...judge(cookieSent || cookieReadable, "cookie", trackerVisited),
+               cookieSent, cookieReadable, trackerVisited };
+    storage = { ...judge(stored, "localStorage identifier", trackerVisited), stored, trackerVisited };
+  } catch (e) {
+    // We couldn't tell either way.
+    cookie = storage = { status: "error", reason: e.message };
+  }
+  await postDataAndCarryOn({
+    "Bounce tracker cookie": { ...cookie, description: descriptions.cookie },
+    "Bounce tracker localStorage": { ...storage, description: descriptions.storage },
+  }, "bounce_tracking");
+};
+
+// Without a site of its own for the tracker, the test can't tell
+// anything, so we say so and carry on.
+const reportUnsupported = async () => {
+  const reason = "This environment has no bounce tracker site (bounceTrackerRoot).";
+  await postDataAndCarryOn({
+    "Bounce tracker cookie": { status: "unsupported", reason, description: descriptions.cookie },
+    "Bounce tracker localStorage": { status: "unsupported", reason, description: descriptions.storage },
+  }, "bounce_tracking");
+};
+
+if (ENVIRONMENT.bounceTrackerRoot === undefined) {
+  reportUnsupported();
+} else if (mode === "start") {
+  bounce();
+} else {
+  runTests();
+}
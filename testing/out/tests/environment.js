@@ -0,0 +1,21 @@
+// Generated from environments/production.json by `node environments`. Don't edit.
+const ENVIRONMENT = {
+  "name": "production",
+  "iframeRootSame": "https://arthuredelstein.net/test-pages",
+  "iframeRootDifferent": "https://test-pages.privacytests.org",
+  "liveRoot": "https://arthuredelstein.net/browser-privacy-live",
+  "resultsRoot": "https://results.privacytests.org",
+  "dnsZone": "dns.arthuredelstein.net",
+  "origins": {
+    "h1": "https://h1.arthuredelstein.net:8901",
+    "h2": "https://h2.arthuredelstein.net:8902",
+    "h2b": "https://h2b.arthuredelstein.net:8902",
+    "h3": "https://h3.arthuredelstein.net:4433",
+    "tls": "https://tls.arthuredelstein.net:8900"
+  },
+  "hosts": {
+    "hsts": "hsts.arthuredelstein.net",
+    "upgradable": "upgradable.arthuredelstein.net",
+    "insecure": "insecure.arthuredelstein.net"
+  }
+};
@@ -0,0 +1,173 @@
+// # Header fingerprinting tests
+//
+// A server can fingerprint a browser from the headers of its requests
+// alone, without running any script. This script runs on the page that
+// /header_fingerprinting in live/caching.js serves, which defines
+// `navigationHeaders`: the headers of the navigation request for the
+// page, as [[name, value], ...] in the order they arrived. Each test
+// compares a signal with the desired "reduced" value, which gives away
+// as little as possible, and reports a status and the reason for it.
+
+// Client Hints that only give away the brand, major version, platform
+// and whether the browser is mobile (and that Chromium sends by default).
+const lowEntropyClientHints = ["sec-ch-ua", "sec-ch-ua-mobile", "sec-ch-ua-platform"];
+
+// Version numbers that every browser of an engine reports, whatever its
+// real version, in a reduced User-Agent.
+const frozenVersions = ["537.36", "605.1.15", "604.1", "20100101"];
+
+// Platforms as a reduced User-Agent reports them. Chromium freezes the
+// OS version on desktop and the device on Android; Firefox and Safari
+// freeze the macOS version.
+const reducedPlatforms = [
+  /^Windows NT 10\.0; Win64; x64(; rv:\d+\.0)?$/,
+  /^Macintosh; Intel Mac OS X 10[._]15(_7)?(; rv:\d+\.0)?$/,
+  /^X11; (CrOS x86_64 14541\.0\.0|Linux x86_64)(; rv:\d+\.0)?$/,
+  /^Linux; Android 10; K$/,
+  /^Android 10; Mobile; rv:\d+\.0$/,
+];
+
+// Is the User-Agent reduced? That is, are its browser versions major
+// versions only (such as "Chrome/120.0.0.0"), and is its platform frozen?
+const isReducedUserAgent = (userAgent) => {
+  const platform = userAgent.match(/\(([^)]*)\)/)?.[1] ?? "";
+  const versions = [...userAgent.matchAll(/[A-Za-z]+\/([\d.]+)/g)].map(match => match[1]);
+  return reducedPlatforms.some(pattern => pattern.test(platform)) &&
+    versions.every(version => /^\d+(\.0)*$/.test(version) || frozenVersions.includes(version));
+};
+
+// The order in which each engine sends these headers on a navigation,
+// over HTTP/2. A browser whose headers arrive in another order stands out
+// from other browsers that claim the same engine in their User-Agent.
+const referenceHeaderOrders = {
+  "Chromium": ["sec-ch-ua", "sec-ch-ua-mobile", "sec-ch-ua-platform", "upgrade-insecure-requests",
+               "user-agent", "accept", "sec-fetch-site", "sec-fetch-mode", "sec-fetch-user",
+               "sec-fetch-dest", "accept-encoding", "accept-language"],
+  "Gecko": ["user-agent", "accept", "accept-language", "accept-encoding", "upgrade-insecure-requests",
+            "sec-fetch-dest", "sec-fetch-mode", "sec-fetch-site", "sec-fetch-user"],
+  "WebKit": ["accept", "sec-fetch-site", "sec-fetch-dest", "accept-language", "sec-fetch-mode",
+             "user-agent", "accept-encoding"],
+};
+
+// The engine that a User-Agent claims.
+const claimedEngine = (userAgent) => {
+  if (/Chrome\//.test(userAgent)) {
+    return "Chromium";
+  }
+  if (/Gecko\/\d/.test(userAgent)) {
+    return "Gecko";
+  }
+  if (/AppleWebKit\//.test(userAgent)) {
+    return "WebKit";
+  }
+  return undefined;
+};
+
+// The status and reason for a test, given whether it passed.
+const verdict = (passed, passedReason, failedReason) =>
+  passed ? { status: "passed", reason: passedReason } : { status: "failed", reason: failedReason };
+
+// The value of a navigation request header, or undefined.
+const navigationHeader = (name) => navigationHeaders.find(([headerName]) => headerName === name)?.[1];
+
+const userAgentTests = () => {
+  const userAgent = navigationHeader("user-agent") ?? "";
+  return {
+    "User-Agent header reduced": {
+      actual_value: userAgent,
+      desired_value: "a User-Agent with major versions only and a frozen platform",
+      ...verdict(isReducedUserAgent(userAgent), "The User-Agent is reduced.",
+                 "The User-Agent gives away more than major versions and a frozen platform."),
+      description: "The User-Agent header is sent with every request. If it reveals the browser's full version number and the operating system's version, it helps servers tell users apart. Browsers can reduce it to the major version and a frozen platform string."
+    },
+    "navigator.userAgent matches User-Agent header": {
+      actual_value: navigator.userAgent,
+      desired_value: userAgent,
+      ...verdict(navigator.userAgent === userAgent, "The two User-Agents match.",
+                 "navigator.userAgent differs from the User-Agent header."),
+      description: "Checks that the User-Agent reported to scripts by navigator.userAgent is the same as the one sent in the User-Agent header. A mismatch is itself distinctive."
+    },
+  };
+};
+
+// The headers of a request made after the Accept-CH opt-in, or an
+// Error if the request failed.
+const optedInHeaders = async () => {
+  try {
+    const response = await fetch(`${ENVIRONMENT.liveRoot}/headers`);
+    return await response.json();
+  } catch (e) {
+    return e;
+  }
+};
+
+const clientHintsTests = async () => {
+  const defaultHints = navigationHeaders.map(([name]) => name).filter(name => name.startsWith("sec-ch-"));
+  const extraDefaultHints = defaultHints.filter(name => !lowEntropyClientHints.includes(name));
+  const requestHeaders = await optedInHeaders();
+  const unlockedHints = requestHeaders instanceof Error ? [] : Object.keys(requestHeaders)
+        .filter(name => name.startsWith("sec-ch-") && !lowEntropyClientHints.includes(name));
+  return {
+    "Default Client Hints": {
+      actual_value: defaultHints.join(", ") || "none",
+      desired_value: `no more than ${lowEntropyClientHints.join(", ")}`,
+      ...verdict(extraDefaultHints.length === 0, "The browser sent no high-entropy Client Hints by default.",
+                 `The browser sent ${extraDefaultHints.join(", ")} by default.`),
+      description: "Client Hints are request headers (Sec-CH-*) that describe the browser and device. Checks that the browser sends none by default, beyond the low-entropy brand, mobile and platform hints."
+    },
+    "High-entropy Client Hints after opt-in": {
+      actual_value: unlockedHints.map(name => `${name}: ${requestHeaders[name]}`).join("; ") || "none",
+      desired_value: "none",
+      ...(requestHeaders instanceof Error ?
+          { status: "error", reason: `The request after the opt-in failed: ${requestHeaders.message}` } :
+          verdict(unlockedHints.length === 0, "The browser sent no high-entropy Client Hints after the opt-in.",
+                  `The browser sent ${unlockedHints.join(", ")} after the opt-in.`)),
+      description: "A website can ask for high-entropy Client Hints, such as the browser's full version, the platform version, the CPU architecture and the device model, with the Accept-CH response header. Checks whether the browser sends them on later requests to the website."
+    },
+  };
+};
+
+const acceptLanguageTests = () => {
+  const acceptLanguage = navigationHeader("accept-language") ?? "";
+  const languages = acceptLanguage.split(",").map(item => item.split(";")[0].trim()).filter(x => x);
+  const baseLanguages = new Set(languages.map(language => language.split("-")[0].toLowerCase()));
+  return {
+    "Accept-Language granularity": {
+      actual_value: acceptLanguage,
+      desired_value: "a single language, such as en-US,en;q=0.5",
+      ...verdict(baseLanguages.size <= 1, "The browser sent no more than one language.",
+                 `The browser sent ${baseLanguages.size} languages.`),
+      description: "The Accept-Language header lists the user's preferred languages, with weights. A long or unusual list can single out a user. Checks that the browser sends no more than one language (with its regional variant)."
+    },
+  };
+};
+
+const headerOrderTests = () => {
+  const userAgent = navigationHeader("user-agent") ?? "";
+  const engine = claimedEngine(userAgent);
+  const reference = referenceHeaderOrders[engine];
+  const order = navigationHeaders.map(([name]) => name)
+        .filter(name => reference?.includes(name));
+  const expected = (reference ?? []).filter(name => order.includes(name));
+  return {
+    "Header order": {
+      actual_value: order.join(", "),
+      desired_value: engine === undefined ? "unknown engine" : `${engine}: ${expected.join(", ")}`,
+      engine: engine ?? "unknown",
+      ...(engine === undefined ?
+          { status: "unsupported", reason: "The User-Agent doesn't claim a known engine." } :
+          verdict(order.join() === expected.join(), `The headers arrived in the usual order for ${engine}.`,
+                  `The headers arrived in a different order from ${engine}'s.`)),
+      description: "The order of request headers differs between browser engines, so a server can tell which engine a browser really uses. Checks that the browser sends its headers in the usual order for the engine its User-Agent claims."
+    },
+  };
+};
+
+const runTests = async () => {
+  const results = Object.assign({}, userAgentTests(), await clientHintsTests(),
+                                acceptLanguageTests(), headerOrderTests());
+  document.body.setAttribute("data-test-results", JSON.stringify(results));
+  await postDataAndCarryOn(results, "header_fingerprinting");
+};
+
+runTests();
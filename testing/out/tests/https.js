@@ -19,8 +19,8 @@ const loadSubresource = async(tagName, url) => {
 const insecureSubresourceTest = async (tag, fileName) => {
   let fileTypeNames = { "img": "image", "script": "script" };
   const description = `Checks to see if the browser attempts to upgrade an insecure address for an ${fileTypeNames[tag]} to HTTPS whenever possible.`;
-  let upgradableEvent = await loadSubresource(tag, `http://upgradable.arthuredelstein.net/content/${fileName}`);
-  let insecureEvent = await loadSubresource(tag, `http://insecure.arthuredelstein.net/content/${fileName}`);
+  let upgradableEvent = await loadSubresource(tag, `http://${ENVIRONMENT.hosts.upgradable}/content/${fileName}`);
+  let insecureEvent = await loadSubresource(tag, `http://${ENVIRONMENT.hosts.insecure}/content/${fileName}`);
   let passed = insecureEvent.type === "error";
   let putativeUpgradeHandling = upgradableEvent.type === "load" ? "upgraded" : "blocked";
   let result = passed ? putativeUpgradeHandling : "loaded insecurely";
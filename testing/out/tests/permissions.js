@@ -0,0 +1,35 @@
+// # Permission state tests
+//
+// A permission that the user granted (or denied) to a tracker embedded in
+// one website shouldn't be visible to the same tracker embedded in
+// another: otherwise the permission's state is a small but persistent
+// identifier. This page embeds the tracker (permissions_inner.html),
+// which reads its permission states with navigator.permissions.query.
+// Like the supercookie tests, the test runs on three pages, selected by
+// the `mode` and `thirdparty` parameters:
+//
+// * "write" on the tracker's own site: the tracker waits for a click,
+//   asks for geolocation (the runner accepts the prompt), and then reads
+//   its permission states. The page posts "permissions_ready" when the
+//   tracker is waiting for the click.
+// * "read" on the same site, and then on the other first party.
+//
+// live/verdicts.js judges the results (see the "permission" verdict).
+
+const urlParams = new URLSearchParams(window.location.search);
+const mode = urlParams.get("mode");
+const thirdparty = urlParams.get("thirdparty");
+
+addEventListener("message", async ({ data }) => {
+  if (data.permissionsReady) {
+    await postData({ permissions_ready: true }, "permissions_ready");
+  } else {
+    document.body.setAttribute("data-test-results", JSON.stringify(data));
+    await postDataAndCarryOn(data, `permissions_${mode}_${thirdparty}`);
+  }
+});
+
+const iframe = document.createElement("iframe");
+iframe.src = `${ENVIRONMENT.iframeRootSame}/permissions_inner.html${window.location.search}`;
+iframe.allow = "geolocation camera microphone clipboard-read storage-access";
+document.body.appendChild(iframe);
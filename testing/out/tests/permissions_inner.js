@@ -0,0 +1,104 @@
+import { runAllTests } from "./test_utils.js";
+
+// # Permission state tests: the embedded tracker
+//
+// Runs in an iframe (see permissions.js), and reports the state
+// ("granted", "denied" or "prompt") of each permission it can query.
+
+// Wrap the code for any browsers that don't support top-level await.
+(async () => {
+
+// How long to wait for a user gesture before giving up.
+const GESTURE_TIMEOUT_MS = 30000;
+
+// How long to wait for a geolocation prompt to be answered.
+const GEOLOCATION_TIMEOUT_MS = 10000;
+
+const mode = new URLSearchParams(location.search).get("mode");
+
+// The state of the named permission. Browsers throw a TypeError for
+// permission names they don't know.
+let queryState = async (name) => {
+  if (!navigator.permissions) {
+    throw new Error("Unsupported");
+  }
+  try {
+    return (await navigator.permissions.query({ name })).state;
+  } catch (e) {
+    if (e instanceof TypeError) {
+      throw new Error("Unsupported");
+    }
+    throw e;
+  }
+};
+
+// The state of each permission before the click, on the write page.
+let statesBefore = {};
+
+// The write reports the state before and after the click (and any
+// prompt), as in "prompt -> granted", so that the verdict can tell
+// whether the test set the permission.
+let permissionTest = ({ name, description }) => ({
+  name,
+  description,
+  verdict: "permission",
+  write: async () => `${statesBefore[name]} -> ${await queryState(name)}`,
+  read: () => queryState(name),
+});
+
+let tests = {
+  "permission state (notifications)": permissionTest({
+    name: "notifications",
+    description: "Websites can ask for permission to show notifications. If a tracker embedded in one website can see whether the user granted or denied it notifications on another website, the permission's state can be used to track users across websites."
+  }),
+  "permission state (geolocation)": permissionTest({
+    name: "geolocation",
+    description: "Websites can ask for permission to read the user's location. If a tracker embedded in one website can see whether the user granted or denied it access to their location on another website, the permission's state can be used to track users across websites."
+  }),
+  "permission state (camera)": permissionTest({
+    name: "camera",
+    description: "Websites can ask for permission to use the camera. If a tracker embedded in one website can see whether the user granted or denied it the camera on another website, the permission's state can be used to track users across websites."
+  }),
+  "permission state (clipboard)": permissionTest({
+    name: "clipboard-read",
+    description: "Websites can ask for permission to read the clipboard. If a tracker embedded in one website can see whether the user granted or denied it the clipboard on another website, the permission's state can be used to track users across websites."
+  }),
+  "permission state (storage access)": permissionTest({
+    name: "storage-access",
+    description: "An embedded third party can ask for access to its unpartitioned cookies with the Storage Access API. If a tracker embedded in one website can see whether it was granted storage access on another website, the permission's state can be used to track users across websites."
+  }),
+};
+
+// Show a button that fills the frame, tell the embedding page that we're
+// ready, and resolve when the button is clicked (or on timeout).
+let waitForGesture = () => new Promise((resolve) => {
+  let button = document.createElement("button");
+  button.innerText = "Click here to continue";
+  document.body.appendChild(button);
+  let timeout = setTimeout(() => resolve(false), GESTURE_TIMEOUT_MS);
+  button.addEventListener("click", () => {
+    clearTimeout(timeout);
+    button.remove();
+    resolve(true);
+  }, { once: true });
+  parent.postMessage({ permissionsReady: true }, "*");
+});
+
+// Ask for geolocation, and resolve when the prompt is answered
+// (or on timeout).
+let requestGeolocation = () => new Promise((resolve) => {
+  setTimeout(resolve, GEOLOCATION_TIMEOUT_MS);
+  navigator.geolocation?.getCurrentPosition(resolve, resolve);
+});
+
+if (mode === "write") {
+  for (let { name } of Object.values(tests)) {
+    statesBefore[name] = await queryState(name).catch(e => `Error: ${e.message}`);
+  }
+  if (await waitForGesture()) {
+    await requestGeolocation();
+  }
+}
+runAllTests(tests);
+
+})();
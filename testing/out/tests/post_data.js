@@ -1,22 +1,38 @@
-// postResults(results) learns the sessionId for this page load,
-// and sends the results to results.privacytests.org/post under
-// that sessionId.
+// postResults(results) learns the sessionId and token for this page load,
+// and sends the results to the results server's /post (such as
+// results.privacytests.org/post) under that sessionId.
 const postData = async (results, category) => {
   const urlParams = new URLSearchParams(window.location.search);
   if (!urlParams.has("sessionId")) {
     return;
   }
   const sessionId = urlParams.get("sessionId");
+  const token = urlParams.get("token");
   console.log("posting", {sessionId, results});
-  let response = await fetch("https://results.privacytests.org/post", {
+  let response = await fetch(`${ENVIRONMENT.resultsRoot}/post`, {
     method: 'POST',
     headers: {
       'Accept': 'application/json',
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify({sessionId, url: window.location.href, "data": results, category })
+    body: JSON.stringify({sessionId, token, url: window.location.href, "data": results, category })
   });
-  return await response.json();
+  const responseJSON = await response.json();
+  if (responseJSON.error) {
+    showPostError(responseJSON.error);
+  }
+  return responseJSON;
+};
+
+// If the server rejected our post, say why: the error code goes in a
+// data attribute (for automation) and the message is shown on the page.
+const showPostError = ({ code, message }) => {
+  console.error(`Post rejected (${code}): ${message}`);
+  document.body.setAttribute("data-post-error", code);
+  const div = document.createElement("div");
+  div.className = "post-error";
+  div.innerText = `Results were not accepted: ${message} (${code})`;
+  document.body.appendChild(div);
 };
 
 const postDataAndCarryOn = async (results, category) => {
@@ -9,7 +9,9 @@ const runTests = async () => {
     results[param] = urlParams.get(param);
   }
   console.log(results);
-  await postDataAndCarryOn(results, "query");
+  // A launcher page (query_launch.js) that navigated here says how.
+  const method = urlParams.get("method");
+  await postDataAndCarryOn(results, method ? `query_${method}` : "query");
 };
 
 runTests();
@@ -0,0 +1,156 @@
+// # Tracking query parameter navigation
+//
+// Navigates to the query page (the `target` parameter, on the other first
+// party) by the method in the `method` parameter, carrying the session
+// along, so that query.html can report which tracking parameters survived
+// that kind of navigation (see queryNavigationMethods in live/results.js).
+// If the navigation doesn't happen, posts the failure for the method
+// instead and carries on.
+//
+// For "iframe_link", this page also runs inside the cross-site iframe,
+// where it shows the link.
+//
+// "link", "window_open" and "iframe_link" are about what happens when the
+// user clicks (and the last two only work with a real click: popup
+// blockers and framebusting interventions ignore script), so for those
+// the page posts "query_<method>_ready" when it's waiting, and the runner
+// clicks it.
+
+// How long to wait for a navigation before giving up.
+const NAVIGATION_TIMEOUT_MS = 15000;
+
+// How long to wait for the runner's (or a visitor's) click before
+// clicking with a script.
+const GESTURE_WAIT_MS = 10000;
+
+const urlParams = new URLSearchParams(window.location.search);
+const method = urlParams.get("method");
+const target = new URL(urlParams.get("target"));
+for (const param of ["sessionId", "token"]) {
+  if (urlParams.has(param)) {
+    target.searchParams.set(param, urlParams.get(param));
+  }
+}
+
+// Makes an element cover the whole page, so that the runner's click in
+// the middle of the window lands on it.
+const fillPage = (element) => {
+  Object.assign(element.style, {
+    position: "fixed", top: 0, left: 0, width: "100%", height: "100%",
+    margin: 0, border: 0, display: "block"
+  });
+};
+
+// Tells the runner that the page is waiting for a click.
+const postReady = () => postData({ query_ready: true }, `query_${method}_ready`);
+
+// Adds a link to the target, opening in the given browsing context, and
+// waits for the user to click it. If nobody does within GESTURE_WAIT_MS,
+// the link clicks itself. The query page learns which (in the clickedBy
+// parameter).
+const showLink = (browsingContext) => {
+  const link = document.createElement("a");
+  link.innerText = "Click here to continue";
+  link.target = browsingContext;
+  link.href = target.href;
+  link.addEventListener("click", (event) => {
+    clearTimeout(fallback);
+    target.searchParams.set("clickedBy", event.isTrusted ? "user" : "script");
+    link.href = target.href;
+  });
+  fillPage(link);
+  document.body.appendChild(link);
+  const fallback = setTimeout(() => link.click(), GESTURE_WAIT_MS);
+};
+
+// Shows a button and resolves when it's clicked. If nobody clicks it
+// within GESTURE_WAIT_MS, the button clicks itself.
+const waitForClick = () => new Promise((resolve) => {
+  const button = document.createElement("button");
+  button.innerText = "Click here to continue";
+  button.addEventListener("click", (event) => {
+    clearTimeout(fallback);
+    button.remove();
+    target.searchParams.set("clickedBy", event.isTrusted ? "user" : "script");
+    resolve();
+  }, { once: true });
+  fillPage(button);
+  document.body.appendChild(button);
+  const fallback = setTimeout(() => button.click(), GESTURE_WAIT_MS);
+  postReady();
+});
+
+// Submits a GET form whose fields are the target's query parameters.
+const submitForm = () => {
+  const form = document.createElement("form");
+  form.method = "GET";
+  form.action = `${target.origin}${target.pathname}`;
+  for (const [name, value] of target.searchParams) {
+    const input = document.createElement("input");
+    input.type = "hidden";
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
+  }
+  document.body.appendChild(form);
+  form.submit();
+};
+
+// Embeds this page, from the other first party, to show the link, and
+// passes on its signal that it's waiting for a click.
+const embedLink = () => {
+  addEventListener("message", ({ data }) => {
+    if (data.queryReady) {
+      postReady();
+    }
+  });
+  const iframe = document.createElement("iframe");
+  const frameUrl = new URL(`${ENVIRONMENT.iframeRootDifferent}/query_launch.html`);
+  frameUrl.searchParams.set("method", method);
+  frameUrl.searchParams.set("target", target.href);
+  iframe.src = frameUrl.href;
+  fillPage(iframe);
+  document.body.appendChild(iframe);
+};
+
+const navigationMethods = {
+  "link": () => {
+    showLink("_self");
+    postReady();
+  },
+  "assign": () => location.assign(target.href),
+  "form": submitForm,
+  "redirect": () => location.assign(
+    `${ENVIRONMENT.liveRoot}/redirect?url=${encodeURIComponent(target.href)}`),
+  "window_open": async () => {
+    await waitForClick();
+    if (window.open(target.href) === null) {
+      throw new Error("popup blocked");
+    }
+  },
+  "iframe_link": embedLink,
+};
+
+const launch = async () => {
+  if (window !== window.top) {
+    // We're the cross-site iframe for "iframe_link".
+    showLink("_top");
+    parent.postMessage({ queryReady: true }, "*");
+    return;
+  }
+  const timeout = setTimeout(() => postDataAndCarryOn({ failure: "didn't navigate" }, `query_${method}`),
+                             NAVIGATION_TIMEOUT_MS);
+  try {
+    await navigationMethods[method]();
+  } catch (e) {
+    clearTimeout(timeout);
+    await postDataAndCarryOn({ failure: e.message }, `query_${method}`);
+    return;
+  }
+  if (method === "window_open") {
+    // The new window carries on from the query page.
+    clearTimeout(timeout);
+  }
+};
+
+launch();
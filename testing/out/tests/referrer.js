@@ -0,0 +1,208 @@
+// # Referrer tests
+//
+// This page (on one first party) loads resources from the caching server
+// (on the other site), and navigates there, each time with a name that
+// the server records along with the Referer it received (see /headers and
+// /referrer_redirect in live/caching.js). The subresources load first;
+// each navigation then carries on back to this page, with the `stage`
+// parameter set to the index of the next navigation test.
+// After the last one, we fetch the recorded referrers and judge them.
+//
+// We report how much of this page's address each Referer gave away:
+// "none", "origin" or "full URL". A test passes if the Referer doesn't
+// carry the full URL (which contains the path and query string). A
+// downgrade test that the browser upgraded to https is unsupported.
+
+const urlParams = new URLSearchParams(window.location.search);
+const sessionId = urlParams.get("sessionId");
+const stage = Number(urlParams.get("stage") ?? 0);
+
+// Each test loads a resource or navigates (load), optionally with an
+// explicit referrer policy. A "redirect" is a navigation through a
+// cross-site redirect, which may set its own Referrer-Policy
+// (redirectPolicy). A downgrade navigates to http.
+const tests = {
+  "Referer, cross-site fetch": {
+    id: "fetch", load: "fetch",
+    description: "Checks how much of the page's address the browser sends in the Referer header of a cross-site fetch, with the default referrer policy."
+  },
+  "Referer, cross-site image": {
+    id: "image", load: "image",
+    description: "Checks how much of the page's address the browser sends in the Referer header when loading a cross-site image, with the default referrer policy."
+  },
+  "Referer, cross-site iframe": {
+    id: "iframe", load: "iframe",
+    description: "Checks how much of the page's address the browser sends in the Referer header when loading a cross-site iframe, with the default referrer policy."
+  },
+  "Referer, cross-site navigation": {
+    id: "navigation", load: "navigation",
+    description: "Checks how much of the page's address the browser sends in the Referer header when navigating to another site, with the default referrer policy."
+  },
+  "Referer, cross-site redirect": {
+    id: "redirect", load: "redirect",
+    description: "Checks how much of the page's address the browser sends in the Referer header after a navigation is redirected by another site, with the default referrer policy."
+  },
+  "Referer, cross-site redirect with unsafe-url": {
+    id: "redirect_unsafe_url", load: "redirect", redirectPolicy: "unsafe-url",
+    description: "Checks whether a cross-site redirect that sets a permissive referrer policy (Referrer-Policy: unsafe-url) can make the browser send the full address of the page that started the navigation in the Referer header."
+  },
+  "Referer, fetch with unsafe-url": {
+    id: "fetch_unsafe_url", load: "fetch", policy: "unsafe-url",
+    description: "Checks whether the browser sends the page's full address in the Referer header of a cross-site fetch when the page asks for the permissive 'unsafe-url' referrer policy. Browsers that cap the referrer policy send no more than the origin."
+  },
+  "Referer, image with unsafe-url": {
+    id: "image_unsafe_url", load: "image", policy: "unsafe-url",
+    description: "Checks whether the browser sends the page's full address in the Referer header when loading a cross-site image with the permissive 'unsafe-url' referrer policy. Browsers that cap the referrer policy send no more than the origin."
+  },
+  "Referer, iframe with unsafe-url": {
+    id: "iframe_unsafe_url", load: "iframe", policy: "unsafe-url",
+    description: "Checks whether the browser sends the page's full address in the Referer header when loading a cross-site iframe with the permissive 'unsafe-url' referrer policy. Browsers that cap the referrer policy send no more than the origin."
+  },
+  "Referer, navigation with unsafe-url": {
+    id: "navigation_unsafe_url", load: "navigation", policy: "unsafe-url",
+    description: "Checks whether the browser sends the page's full address in the Referer header when following a link to another site with the permissive 'unsafe-url' referrer policy. Browsers that cap the referrer policy send no more than the origin."
+  },
+  "Referer, downgrade to http": {
+    id: "downgrade", load: "navigation", downgrade: true,
+    description: "Checks whether the browser sends a Referer header when navigating from an https page to an http page on another site, with the default referrer policy."
+  },
+  "Referer, downgrade to http with unsafe-url": {
+    id: "downgrade_unsafe_url", load: "navigation", policy: "unsafe-url", downgrade: true,
+    description: "Checks whether the browser trims the Referer header when following a link from an https page to an http page on another site with the permissive 'unsafe-url' referrer policy."
+  },
+};
+
+const testNames = Object.keys(tests);
+const navigationTestNames = testNames.filter(name => ["navigation", "redirect"].includes(tests[name].load));
+
+// The URL of the server route that records the Referer for a test.
+const recordUrl = (route, id, root = ENVIRONMENT.liveRoot) => {
+  const url = new URL(`${root}/${route}`);
+  url.searchParams.set("key", sessionId);
+  url.searchParams.set("name", id);
+  return url;
+};
+
+// Resolves once the element has loaded (or failed to).
+const elementLoaded = (element) => new Promise((resolve) => {
+  element.addEventListener("load", resolve, { once: true });
+  element.addEventListener("error", resolve, { once: true });
+});
+
+const subresourceLoads = {
+  "fetch": (url, policy) => fetch(url, { mode: "no-cors", ...(policy && { referrerPolicy: policy }) }),
+  "image": async (url, policy) => {
+    const image = new Image();
+    if (policy) {
+      image.referrerPolicy = policy;
+    }
+    const loaded = elementLoaded(image);
+    image.src = url;
+    await loaded;
+  },
+  "iframe": async (url, policy) => {
+    const iframe = document.createElement("iframe");
+    if (policy) {
+      iframe.referrerPolicy = policy;
+    }
+    const loaded = elementLoaded(iframe);
+    iframe.src = url;
+    document.body.appendChild(iframe);
+    await loaded;
+  },
+};
+
+// This page, at the given stage.
+const stageUrl = (nextStage) => {
+  const url = new URL(location.href);
+  url.searchParams.set("stage", nextStage);
+  return url.href;
+};
+
+// Follow a link (with the test's referrer policy) that goes through the
+// server, which records the Referer, and back to this page at the next stage.
+const navigate = ({ id, load, policy, redirectPolicy, downgrade }) => {
+  const back = stageUrl(stage + 1);
+  const root = downgrade ? `http://${ENVIRONMENT.hosts.hsts}` : ENVIRONMENT.liveRoot;
+  let url = recordUrl("referrer_redirect", id, root);
+  url.searchParams.set("next", back);
+  if (load === "redirect") {
+    const first = recordUrl("referrer_redirect", `${id}_first`);
+    first.searchParams.set("next", url.href);
+    if (redirectPolicy) {
+      first.searchParams.set("policy", redirectPolicy);
+    }
+    url = first;
+  }
+  const link = document.createElement("a");
+  link.href = url.href;
+  if (policy) {
+    link.referrerPolicy = policy;
+  }
+  link.innerText = "Continue";
+  document.body.appendChild(link);
+  link.click();
+};
+
+// Why each kind of Referer passes or fails.
+const referrerReasons = {
+  "none": "The browser sent no Referer.",
+  "origin": "The Referer only contained the page's origin.",
+  "full URL": "The Referer contained the page's full address.",
+  "other": "The Referer wasn't the page's address.",
+};
+
+// How much of this page's address a Referer contains.
+const referrerContents = (referer) => {
+  if (!referer) {
+    return "none";
+  }
+  if (referer === `${location.origin}/`) {
+    return "origin";
+  }
+  if (referer.startsWith(`${location.origin}${location.pathname}`)) {
+    return "full URL";
+  }
+  return "other";
+};
+
+const judge = async () => {
+  const response = await fetch(`${ENVIRONMENT.liveRoot}/referrers?key=${sessionId}`);
+  const recorded = await response.json();
+  const results = {};
+  for (const name of testNames) {
+    const { id, policy, redirectPolicy, downgrade, description } = tests[name];
+    const record = recorded[id];
+    const requestedPolicy = policy ?? redirectPolicy ?? "default";
+    if (record === undefined) {
+      results[name] = { status: "error", reason: "The server never received the request.",
+                        policy: requestedPolicy, description };
+      continue;
+    }
+    const referrer = referrerContents(record.referer);
+    // A browser that upgraded the downgrade to https didn't downgrade.
+    const verdict = downgrade && record.protocol !== "http" ?
+          { status: "unsupported", reason: "The browser upgraded the navigation to https, so nothing was downgraded." } :
+          { status: referrer === "full URL" ? "failed" : "passed", reason: referrerReasons[referrer] };
+    results[name] = { ...verdict, referrer, policy: requestedPolicy,
+                      ...(downgrade && { protocol: record.protocol }),
+                      description };
+  }
+  await postDataAndCarryOn(results, "referrer");
+};
+
+const runTests = async () => {
+  if (stage === 0) {
+    for (const name of testNames.filter(name => subresourceLoads[tests[name].load])) {
+      const { id, load, policy } = tests[name];
+      await subresourceLoads[load](recordUrl("headers", id).href, policy);
+    }
+  }
+  if (stage < navigationTestNames.length) {
+    navigate(tests[navigationTestNames[stage]]);
+  } else {
+    await judge();
+  }
+};
+
+runTests();
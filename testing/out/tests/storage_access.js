@@ -0,0 +1,55 @@
+// # Storage Access API tests
+//
+// The Storage Access API lets a third party ask for access to its
+// unpartitioned cookies (and, in some browsers, other storage), which
+// undoes state partitioning for that third party. The test runs on three
+// pages, selected by the `mode` parameter:
+//
+// * "write": on the tracker's own site (as a first party), stores an
+//   identifier in a cookie and in localStorage.
+// * "request": on the other first party, embeds the tracker
+//   (storage_access_inner.html), which asks for storage access, first
+//   without and then with a user gesture. The page posts
+//   "storage_access_ready" when the tracker is waiting for the gesture,
+//   so that the runner can click it and accept any prompt.
+// * "reload": on the other first party again, embeds the tracker, which
+//   checks whether its access was remembered.
+// * "other": on a third first party (where the environment has one),
+//   embeds the tracker, which checks whether its access carried over.
+//
+// live/results.js judges the results.
+
+// The name of the tracker's cookie and localStorage item.
+const STORAGE_ACCESS_ID = "storage_access_id";
+
+const urlParams = new URLSearchParams(window.location.search);
+const mode = urlParams.get("mode");
+const sessionId = urlParams.get("sessionId");
+
+const write = async () => {
+  document.cookie = `${STORAGE_ACCESS_ID}=${sessionId}; Path=/; SameSite=None; Secure; Max-Age=3600`;
+  localStorage.setItem(STORAGE_ACCESS_ID, sessionId);
+  await postDataAndCarryOn({ written: true }, "storage_access_write");
+};
+
+// Embed the tracker, and pass on what it tells us.
+const embedTracker = () => {
+  addEventListener("message", async ({ data }) => {
+    if (data.storageAccessReady) {
+      await postData({ storage_access_ready: true }, "storage_access_ready");
+    } else if (data.storageAccessResults) {
+      document.body.setAttribute("data-test-results", JSON.stringify(data.storageAccessResults));
+      await postDataAndCarryOn(data.storageAccessResults, `storage_access_${mode}`);
+    }
+  });
+  const iframe = document.createElement("iframe");
+  iframe.src = `${ENVIRONMENT.iframeRootSame}/storage_access_inner.html${window.location.search}`;
+  iframe.allow = "storage-access";
+  document.body.appendChild(iframe);
+};
+
+if (mode === "write") {
+  write();
+} else {
+  embedTracker();
+}
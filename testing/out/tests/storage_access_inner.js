@@ -0,0 +1,116 @@
+// # Storage Access API tests: the embedded tracker
+//
+// Runs in a cross-site iframe (see storage_access.js), and reports to the
+// embedding page what storage it can see, and what access it's given.
+
+// The name of the cookie and localStorage item that storage_access.js
+// wrote while the tracker was a first party.
+const STORAGE_ACCESS_ID = "storage_access_id";
+
+// How long to wait for a user gesture before giving up.
+const GESTURE_TIMEOUT_MS = 30000;
+
+// How long to wait for requestStorageAccess() to settle without a
+// gesture. (Some browsers never settle it.)
+const REQUEST_TIMEOUT_MS = 3000;
+
+const urlParams = new URLSearchParams(window.location.search);
+const mode = urlParams.get("mode");
+const sessionId = urlParams.get("sessionId");
+
+const withTimeout = (promise, timeoutMs) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error("timed out")), timeoutMs))
+]);
+
+// What this frame can see of the identifier: whether it's in
+// document.cookie, in the Cookie header of a request (see /cookie_header
+// in live/caching.js), and in localStorage (or in the unpartitioned
+// localStorage of a storage access handle, where browsers provide one).
+const visibleState = async (handle) => {
+  const cookieReadable = document.cookie.split("; ").includes(`${STORAGE_ACCESS_ID}=${sessionId}`);
+  let cookieSent = false;
+  try {
+    const response = await fetch(`${ENVIRONMENT.liveRoot}/cookie_header?name=${STORAGE_ACCESS_ID}`,
+                                 { credentials: "include", cache: "no-store" });
+    cookieSent = (await response.text()).trim() === sessionId;
+  } catch (e) {
+    console.log("Couldn't check the Cookie header:", e.message);
+  }
+  let stored = false;
+  try {
+    stored = (handle?.localStorage ?? localStorage).getItem(STORAGE_ACCESS_ID) === sessionId;
+  } catch (e) {
+    console.log("Couldn't read localStorage:", e.message);
+  }
+  return { cookieReadable, cookieSent, stored };
+};
+
+// Ask for storage access (including unpartitioned storage, where that's
+// supported). Resolves to { granted, handle, ms }.
+const requestAccess = async (timeoutMs) => {
+  const start = performance.now();
+  try {
+    const handle = await withTimeout(document.requestStorageAccess({ all: true }), timeoutMs);
+    return { granted: true, handle, ms: Math.round(performance.now() - start) };
+  } catch (e) {
+    return { granted: false, error: e.message, ms: Math.round(performance.now() - start) };
+  }
+};
+
+// Show a button that fills the frame, tell the embedding page that we're
+// ready, and resolve when the button is clicked (or on timeout).
+const waitForGesture = () => new Promise((resolve) => {
+  const button = document.createElement("button");
+  button.innerText = "Click here to continue";
+  document.body.appendChild(button);
+  const timeout = setTimeout(() => resolve({ clicked: false }), GESTURE_TIMEOUT_MS);
+  button.addEventListener("click", (event) => {
+    clearTimeout(timeout);
+    button.remove();
+    resolve({ clicked: true, clickedBy: event.isTrusted ? "user" : "script" });
+  }, { once: true });
+  parent.postMessage({ storageAccessReady: true }, "*");
+});
+
+// Ask for access without a gesture, and then (unless that worked) with one.
+const request = async () => {
+  const before = await visibleState();
+  const hadAccess = await document.hasStorageAccess();
+  const withoutGesture = await requestAccess(REQUEST_TIMEOUT_MS);
+  const gesture = await waitForGesture();
+  // Access can only be requested in response to the click, so we don't
+  // wait for anything else first.
+  const withGesture = withoutGesture.granted ? withoutGesture :
+        await (gesture.clicked ? requestAccess(GESTURE_TIMEOUT_MS) :
+               Promise.resolve({ granted: false, error: "no user gesture" }));
+  const after = await visibleState(withGesture.handle);
+  return {
+    supported: true, hadAccess, before, after,
+    autoGranted: withoutGesture.granted,
+    granted: withGesture.granted,
+    requestMs: withGesture.ms,
+    ...(withGesture.error && { error: withGesture.error }),
+    ...gesture
+  };
+};
+
+// Check whether access granted on the "request" page was remembered.
+const reload = async () => {
+  const hadAccess = await document.hasStorageAccess();
+  const withoutGesture = await requestAccess(REQUEST_TIMEOUT_MS);
+  const after = await visibleState(withoutGesture.handle);
+  return { supported: true, hadAccess, granted: withoutGesture.granted, after };
+};
+
+const run = async () => {
+  let results;
+  if (!document.requestStorageAccess || !document.hasStorageAccess) {
+    results = { supported: false };
+  } else {
+    results = mode === "request" ? await request() : await reload();
+  }
+  parent.postMessage({ storageAccessResults: results }, "*");
+};
+
+run();
@@ -1,26 +1,212 @@
 import { runAllTests, sleepMs } from "./test_utils.js";
-import * as IdbKeyVal from 'https://cdn.jsdelivr.net/npm/idb-keyval@3/dist/idb-keyval.mjs';
+import * as IdbKeyVal from './idb-keyval.js';
 
 // Wrap the code for any browsers that don't support top-level await.
 (async () => {
 
-const baseURI = "https://arthuredelstein.net/browser-privacy-live/";
+// The domains we test against come from environment.js.
+const baseURI = `${ENVIRONMENT.liveRoot}/`;
+const { h1, h2, h2b, h3, tls } = ENVIRONMENT.origins;
+
+// The first party embedding these tests ("same" or "different").
+const firstParty = new URLSearchParams(location.search).get("thirdparty");
 
 let testURI = (path, type, key) => `${baseURI}${path}?type=${type}&key=${key}`;
 
+// A test of one of the browser's HTTP cache consumers. `load(url)` loads
+// a resource with the given url and resolves when it has loaded. The
+// write loads a resource of the given type, and the read loads it again
+// and returns the number of times the server has been asked for it.
+let cacheTest = ({ type, description, load }) => ({
+  description,
+  verdict: "requestCount",
+  write: async (key) => {
+    await load(testURI("resource", type, key));
+    return key;
+  },
+  read: async (key) => {
+    await load(testURI("resource", type, key));
+    let response = await fetch(testURI("ctr", type, key), {"cache": "reload"});
+    return (await response.text()).trim();
+  }
+});
+
+// Resolves when the element fires the given event, or rejects on error.
+let elementEvent = (element, eventName) => new Promise((resolve, reject) => {
+  element.addEventListener(eventName, resolve, {once: true});
+  element.addEventListener("error", () => reject(new Error(`${element.tagName} failed to load`)), {once: true});
+});
+
+// Loads a media element (audio or video).
+let loadMedia = (tagName) => async (url) => {
+  let media = document.createElement(tagName);
+  media.preload = "auto";
+  media.muted = true;
+  document.body.appendChild(media);
+  let loaded = elementEvent(media, "loadeddata");
+  media.src = url;
+  await loaded;
+};
+
+// Loads a script element, classic or module.
+let loadScript = (type) => async (url) => {
+  let script = document.createElement("script");
+  if (type) {
+    script.type = type;
+  }
+  let loaded = elementEvent(script, "load");
+  script.src = url;
+  document.head.appendChild(script);
+  await loaded;
+};
+
+// Preloads a resource with <link rel=preload as=...>.
+let preload = (as) => async (url) => {
+  let link = document.createElement("link");
+  link.rel = "preload";
+  link.as = as;
+  // Fonts and fetches are always preloaded in CORS mode.
+  if (as === "font" || as === "fetch") {
+    link.crossOrigin = "anonymous";
+  }
+  let loaded = elementEvent(link, "load");
+  link.href = url;
+  document.head.appendChild(link);
+  await loaded;
+};
+
+// Loads a page in a new iframe.
+let loadIframe = (url) => new Promise((resolve) => {
+  let iframe = document.createElement("iframe");
+  iframe.addEventListener("load", resolve, {once: true});
+  iframe.src = url;
+  document.body.appendChild(iframe);
+});
+
+// The ways a revalidated resource is loaded.
+let revalidationLoads = {
+  "fetch": (url) => fetch(url),
+  "image": async (url) => {
+    let image = new Image();
+    let loaded = elementEvent(image, "load");
+    image.src = url;
+    await loaded;
+  },
+  "script": loadScript(),
+  "iframe": loadIframe,
+};
+
+// The validators that a browser sends back when it revalidates a cached
+// resource (see /revalidate in live/caching.js), and the request header
+// each comes back in.
+let revalidationModes = {
+  "etag": {
+    name: "ETag",
+    header: "ifNoneMatch",
+    description: "The ETag response header tags a resource with an identifier, which the browser sends back in an If-None-Match header when it checks whether its cached copy is still good. If the cache is shared between websites, the identifier can be used to track users across sites."
+  },
+  "lastModified": {
+    name: "Last-Modified",
+    header: "ifModifiedSince",
+    description: "The Last-Modified response header gives the date a resource last changed, which the browser sends back in an If-Modified-Since header when it checks whether its cached copy is still good. A server can give each user a unique date; if the cache is shared between websites, that date can be used to track users across sites."
+  },
+  "noCache": {
+    name: "no-cache revalidation",
+    header: "ifNoneMatch",
+    description: "A resource sent with Cache-Control: no-cache is cached, but the browser must check with the server before each reuse, sending back the resource's ETag. If the cache is shared between websites, the ETag can be used to track users across sites."
+  },
+};
+
+// A test of one revalidation validator, loaded one way. The write loads
+// the resource, and the read loads it again and returns the validator that
+// the browser sent back to the server, or "none".
+let revalidationTest = ({ mode, load, header, description, loadFunction }) => ({
+  description,
+  verdict: "revalidation",
+  write: async (key) => {
+    await loadFunction(`${baseURI}revalidate?key=${key}&mode=${mode}&load=${load}`);
+    return key;
+  },
+  read: async (key) => {
+    await loadFunction(`${baseURI}revalidate?key=${key}&mode=${mode}&load=${load}`);
+    let response = await fetch(`${baseURI}revalidation?key=${key}&mode=${mode}&load=${load}`,
+                               {"cache": "reload"});
+    return (await response.json())[header] ?? "none";
+  }
+});
+
+// Reads back a cookie, both with document.cookie and from the Cookie
+// header of a request (see /cookie_header in live/caching.js), as
+// "document.cookie: <value>, Cookie header: <value>", where a missing
+// cookie's value is "none".
+let readCookie = async (name) => {
+  let fromScript = document.cookie.split("; ")
+      .find(cookie => cookie.startsWith(`${name}=`))?.split("=")[1] ?? "none";
+  let response = await fetch(`${baseURI}cookie_header?name=${name}`, {"cache": "no-store"});
+  let fromHeader = (await response.text()).trim();
+  return `document.cookie: ${fromScript}, Cookie header: ${fromHeader}`;
+};
+
+// The ways a page can load a resource whose response sets a cookie.
+let cookieLoads = {
+  "iframe": loadIframe,
+  "image": revalidationLoads["image"],
+  "fetch": (url) => fetch(url, {"credentials": "include"}),
+};
+
+// A test of a cookie set by a Set-Cookie response header, with the given
+// attributes (see /set_cookie in live/caching.js), on a resource loaded
+// the given way, optionally during a redirect.
+let headerCookieTest = ({ id, attributes, load, redirect, description }) => ({
+  description,
+  verdict: "cookie",
+  write: async (key) => {
+    await cookieLoads[load](`${baseURI}set_cookie?name=cookie_${id}&value=${key}&attributes=${attributes}&load=${load}${redirect ? "&redirect=1" : ""}`);
+    return key;
+  },
+  read: () => readCookie(`cookie_${id}`)
+});
+
+// The time-to-live of the answer in the DNS cache test.
+const DNS_TTL_S = 1;
+
+// Makes the browser look up a hostname. The name resolves to an address
+// that nothing routes to, so we don't wait for the connection.
+let resolveName = async (hostname) => {
+  let controller = new AbortController();
+  let timeout = setTimeout(() => controller.abort(), 2000);
+  try {
+    await fetch(`https://${hostname}/`, {mode: "no-cors", cache: "no-store", signal: controller.signal});
+  } catch (e) {
+    // The lookup is all we need.
+  }
+  clearTimeout(timeout);
+};
+
 let fetchText = async (...args) => {
   let response = await fetch(...args);
   return await response.text();
 };
 
+// Our IP address, and whether it's a Tor exit. The lookups need outside
+// services, so the local environment (which is offline) skips them, and
+// if they fail we carry on as if we weren't using Tor.
 const { ipAddress, usingTor } = await (async () => {
-  const response = await fetch("https://wtfismyip.com/json");
-  const wtfJSON = await response.json();
-  const ipAddress = wtfJSON["YourFuckingIPAddress"];
-  const onionooResponse = await fetch(`https://onionoo.torproject.org/details?limit=1&search=${ipAddress}`);
-  const onionooJSON = await onionooResponse.json();
-  const usingTor = onionooJSON.relays.length > 0;
-  return { ipAddress, usingTor };
+  if (ENVIRONMENT.name === "local") {
+    return { ipAddress: undefined, usingTor: false };
+  }
+  try {
+    const response = await fetch("https://wtfismyip.com/json");
+    const wtfJSON = await response.json();
+    const ipAddress = wtfJSON["YourFuckingIPAddress"];
+    const onionooResponse = await fetch(`https://onionoo.torproject.org/details?limit=1&search=${ipAddress}`);
+    const onionooJSON = await onionooResponse.json();
+    const usingTor = onionooJSON.relays.length > 0;
+    return { ipAddress, usingTor };
+  } catch (e) {
+    console.log("Couldn't look up our IP address:", e.message);
+    return { ipAddress: undefined, usingTor: false };
+  }
 })();
 
 let tests = {
@@ -33,6 +219,56 @@ let tests = {
     },
     read: () => document.cookie ? document.cookie.match(/secret=(\S+)/)[1] : null,
    },
+  "cookie (Set-Cookie on iframe)": headerCookieTest({
+    id: "iframe", attributes: "none", load: "iframe",
+    description: "Trackers usually set cookies with a Set-Cookie header on the responses to their embedded content, rather than with a script. This test sets a SameSite=None cookie on an iframe's response. Browsers can stop such cookies from being used for cross-site tracking by either blocking or partitioning them."
+  }),
+  "cookie (Set-Cookie on image)": headerCookieTest({
+    id: "image", attributes: "none", load: "image",
+    description: "Trackers usually set cookies with a Set-Cookie header on the responses to their embedded content, such as tracking pixels. This test sets a SameSite=None cookie on an image's response. Browsers can stop such cookies from being used for cross-site tracking by either blocking or partitioning them."
+  }),
+  "cookie (Set-Cookie on fetch)": headerCookieTest({
+    id: "fetch", attributes: "none", load: "fetch",
+    description: "Trackers usually set cookies with a Set-Cookie header on the responses to their requests. This test sets a SameSite=None cookie on the response to a fetch. Browsers can stop such cookies from being used for cross-site tracking by either blocking or partitioning them."
+  }),
+  "cookie (Set-Cookie during redirect)": headerCookieTest({
+    id: "redirect", attributes: "none", load: "image", redirect: true,
+    description: "A tracker can set a cookie on a redirect response, before the browser reaches the content it asked for. This test sets a SameSite=None cookie on a redirect while loading an image. Browsers can stop such cookies from being used for cross-site tracking by either blocking or partitioning them."
+  }),
+  "cookie (Partitioned, Set-Cookie)": headerCookieTest({
+    id: "partitioned", attributes: "partitioned", load: "fetch",
+    description: "A cookie with the Partitioned attribute (CHIPS, Cookies Having Independent Partitioned State) asks the browser to keep a separate copy for each top-level site, so it can't be used for cross-site tracking. This test sets one with a Set-Cookie header on the response to a fetch."
+  }),
+  "cookie (Partitioned, document.cookie)": {
+    description: "A cookie with the Partitioned attribute (CHIPS, Cookies Having Independent Partitioned State) asks the browser to keep a separate copy for each top-level site, so it can't be used for cross-site tracking. This test sets one with document.cookie.",
+    verdict: "cookie",
+    write: (secret) => {
+      document.cookie = `cookie_partitioned_script=${secret}; Path=/; SameSite=None; Secure; Partitioned`;
+      return secret;
+    },
+    read: () => readCookie("cookie_partitioned_script"),
+  },
+  "cookie (SameSite=Lax)": headerCookieTest({
+    id: "lax", attributes: "lax", load: "fetch",
+    description: "A cookie with SameSite=Lax is only sent with requests from the site that set it (and with top-level navigations to it). This test sets one with a Set-Cookie header while its site is a first party, and checks whether it's available when the site is embedded in another website."
+  }),
+  "cookie (SameSite=Strict)": headerCookieTest({
+    id: "strict", attributes: "strict", load: "fetch",
+    description: "A cookie with SameSite=Strict is only sent with requests from the site that set it. This test sets one with a Set-Cookie header while its site is a first party, and checks whether it's available when the site is embedded in another website."
+  }),
+  "CookieStore": {
+    description: "The CookieStore API (cookieStore) is an asynchronous alternative to document.cookie for reading and writing cookies. If cookies it sets in a third-party context are not partitioned, it can be used to track users across websites.",
+    write: async (secret) => {
+      if (!window.cookieStore) {
+        throw new Error("Unsupported");
+      }
+      // cookieStore.set() defaults to SameSite=Strict, which would hide the
+      // cookie from a cross-site read.
+      await cookieStore.set({ name: "cookiestore_secret", value: secret, sameSite: "none" });
+      return secret;
+    },
+    read: async () => (await cookieStore.get("cookiestore_secret"))?.value,
+  },
   "localStorage": {
     description: "The localStorage API gives websites access to a key-value database that will remain available across visits. If the localStorage API is not partitioned or blocked, it can also be used to track users across websites.",
     write: (secret) => localStorage.setItem("secret", secret),
@@ -49,6 +285,78 @@ let tests = {
     },
     read: () => IdbKeyVal.get("secret")
   },
+  "Origin Private File System": {
+    description: "The Origin Private File System (navigator.storage.getDirectory) gives websites a private file system for fast file access. If it is not partitioned, files written there can be used to track users across websites.",
+    write: async (secret) => {
+      if (!navigator.storage?.getDirectory) {
+        throw new Error("Unsupported");
+      }
+      let root = await navigator.storage.getDirectory();
+      let file = await root.getFileHandle("secret", { create: true });
+      let writable = await file.createWritable();
+      await writable.write(secret);
+      await writable.close();
+      return secret;
+    },
+    read: async () => {
+      let root = await navigator.storage.getDirectory();
+      let file = await root.getFileHandle("secret");
+      return (await file.getFile()).text();
+    }
+  },
+  "Storage Buckets": {
+    description: "The Storage Buckets API (navigator.storageBuckets) lets websites divide their storage into named buckets, each with its own IndexedDB, CacheStorage and file system. If buckets are not partitioned, a tracker can use them to track users across websites.",
+    // The secret is stored in the bucket's name, which is all that a
+    // different first party needs to list.
+    write: async (secret) => {
+      if (!navigator.storageBuckets) {
+        throw new Error("Unsupported");
+      }
+      await navigator.storageBuckets.open(`secret-${secret}`);
+      return secret;
+    },
+    read: async () => {
+      let names = await navigator.storageBuckets.keys();
+      return names.find(name => name.startsWith("secret-"))?.slice("secret-".length);
+    }
+  },
+  "navigator.storage.estimate()": {
+    description: "navigator.storage.estimate() reports how much storage a website is using. If the usage it reports includes what the same tracker stored on other websites, a tracker can store a recognizable amount of data and use it to track users across sites.",
+    // The write stores 2 MB, far more than any other test, and the read
+    // reports whether the usage includes it.
+    write: async () => {
+      if (!navigator.storage?.estimate) {
+        throw new Error("Unsupported");
+      }
+      let cache = await caches.open("supercookies_estimate");
+      await cache.put("estimate", new Response(new Uint8Array(2 * 1024 * 1024)));
+      let { usage } = await navigator.storage.estimate();
+      return `usage: ${usage}`;
+    },
+    read: async () => {
+      let { usage } = await navigator.storage.estimate();
+      return usage >= 1024 * 1024 ? "over 1 MB" : "under 1 MB";
+    }
+  },
+  "navigator.storage.persist()": {
+    description: "navigator.storage.persist() asks the browser not to evict a website's storage. If persistence granted to a tracker on one website is also reported on another (by navigator.storage.persisted()), it leaks a bit of information between websites.",
+    write: async () => {
+      if (!navigator.storage?.persist) {
+        throw new Error("Unsupported");
+      }
+      // Some browsers (such as Firefox) ask the user, and don't settle the
+      // promise until they answer, so we only wait a few seconds.
+      let granted = await Promise.race([navigator.storage.persist(), sleepMs(3000).then(() => "timeout")]);
+      if (granted === "timeout") {
+        throw new Error("Unsupported: persist() timed out, waiting for a prompt");
+      }
+      if (!granted) {
+        throw new Error("Unsupported: persistence wasn't granted");
+      }
+      return "persisted";
+    },
+    read: async () => String(await navigator.storage.persisted())
+  },
   "SharedWorker": {
     description: "The SharedWorker API allows scripts from multiple tabs to share a background thread of computation. If SharedWorker is not partitioned, then it can be abused to shared data between websites in your browser.",
     write: (secret) => {
@@ -134,7 +442,7 @@ let tests = {
       let xhr = new XMLHttpRequest();
       xhr.addEventListener("load", () => resolve(
         {"secret": xhr.getResponseHeader("date")}));
-      xhr.open("GET", "https://arthuredelstein.net");
+      xhr.open("GET", new URL(ENVIRONMENT.iframeRootSame).origin);
       xhr.setRequestHeader("Cache-Control", "no-cache");
       xhr.send();
       setTimeout(() => reject({message: "XHR: no response"}), 3000);
@@ -143,7 +451,7 @@ let tests = {
       let xhr = new XMLHttpRequest();
       xhr.addEventListener("load", () => resolve(
         xhr.getResponseHeader("date")));
-      xhr.open("GET", "https://arthuredelstein.net");
+      xhr.open("GET", new URL(ENVIRONMENT.iframeRootSame).origin);
       xhr.setRequestHeader("Cache-Control", "max-age");
       xhr.send();
       setTimeout(() => reject({message: "XHR: no response"}), 3000);
@@ -211,6 +519,7 @@ let tests = {
   },
   "favicon cache": {
     description: "A favicon is an icon that represents a website, typically shown in browser tab and bookmarks menu. If the favicon cache is not partitioned, it can be used to track users across websites.",
+    verdict: "requestCount",
     write: (key) => key,
     read: async (key) => {
       // Wait for the favicon to load (defined in supercookies.html)
@@ -281,28 +590,54 @@ let tests = {
       return fontFamily;
     }
   },
-/*  "video": {
-    write: (key) => new Promise((resolve, reject) => {
-      let video = document.createElement("video");
-      document.body.appendChild(video);
-      video.preload="auto";
-      video.addEventListener("canplaythrough", () => resolve(key), {once: true});
-      video.src = testURI("resource", "video", key);
-    }),
-    read: async (key) => {
-      let video = document.createElement("video");
-      document.body.appendChild(video);
-      video.preload="auto";
-      let videoLoadPromise = new Promise((resolve, reject) => {
-        video.addEventListener("canplaythrough", resolve, {once: true});
-      });
-      video.src = testURI("resource", "video", key);
-      await videoLoadPromise;
-      let response = await fetch(
-        testURI("ctr", "video", key), {"cache": "reload"});
-      return (await response.text()).trim();
+  "video cache": cacheTest({
+    type: "video",
+    description: "Videos embedded in a web page are cached. If that cache is shared between websites, it can be used to track users across sites.",
+    load: loadMedia("video")
+  }),
+  "audio cache": cacheTest({
+    type: "audio",
+    description: "Audio embedded in a web page is cached. If that cache is shared between websites, it can be used to track users across sites.",
+    load: loadMedia("audio")
+  }),
+  "script cache": cacheTest({
+    type: "script",
+    description: "Scripts loaded with a <script> element are cached. If that cache is shared between websites, it can be used to track users across sites.",
+    load: loadScript()
+  }),
+  "module cache": cacheTest({
+    type: "module",
+    description: "JavaScript modules, loaded with <script type='module'>, are cached. If that cache is shared between websites, it can be used to track users across sites.",
+    load: loadScript("module")
+  }),
+  "worker script cache": cacheTest({
+    type: "worker",
+    description: "The scripts that run dedicated Web Workers are cached. If that cache is shared between websites, it can be used to track users across sites.",
+    load: (url) => new Promise((resolve, reject) => {
+      let worker = new Worker(url);
+      worker.addEventListener("message", () => { worker.terminate(); resolve(); }, {once: true});
+      worker.addEventListener("error", () => reject(new Error("worker failed to load")), {once: true});
+    })
+  }),
+  "SVG use cache": cacheTest({
+    type: "svg",
+    description: "An SVG <use> element can show a shape from another SVG document, which is cached. If that cache is shared between websites, it can be used to track users across sites.",
+    load: async (url) => {
+      let svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+      let use = document.createElementNS("http://www.w3.org/2000/svg", "use");
+      use.setAttribute("href", `${url}#icon`);
+      svg.appendChild(use);
+      document.body.appendChild(svg);
+      // <use> has no reliable load event, so give it time to load.
+      await sleepMs(500);
     }
-  },*/
+  }),
+  ...Object.fromEntries(["script", "style", "image", "font", "fetch"].map(as => [
+    `preload cache (${as})`, cacheTest({
+      type: `preload_${as}`,
+      description: `A <link rel='preload' as='${as}'...> tells the browser to fetch a resource that the page will need soon, and keep it in the cache. If that cache is shared between websites, it can be used to track users across sites.`,
+      load: preload(as)
+    })])),
   "locks": {
     description: "navigator.locks (only supported in some browsers) allows scripts on multiple tabs to coordinate. If this API is not partitioned, it can be used for cross-site tracking.",
     write: async (key) => {
@@ -321,46 +656,59 @@ let tests = {
       }
     }
   },
-/*
-  "etag": {
-    write: async (key) => {
-      let prime = await fetch(testURI("etag", "", key));
-      let response = await fetch(testURI("etag", "", key));
-      return key;
-    },
-    read: async (key) => {
-      let response = await fetch(testURI("etag", "", key));
-      let receivedIfNoneMatch = response.headers.get("x-received-if-none-match");
-      if (receivedIfNoneMatch === "undefined") {
-        return undefined;
-      } else {
-        return receivedIfNoneMatch;
-      }
-    }
-  },
-*/
+  ...Object.fromEntries(Object.entries(revalidationModes).flatMap(
+    ([mode, { name, header, description }]) => Object.entries(revalidationLoads).map(
+      ([load, loadFunction]) => [`${name} (${load})`, revalidationTest({
+        mode, load, header, description, loadFunction })]))),
   "HSTS cache": {
     description: "The HTTP Strict-Transport-Security response header allows a website to signal that it should only be accessed via HTTPS. The browser remembers this directive in a database, but if this database is not partitioned, then it can be used to track users across websites.",
+    verdict: "hsts",
     write: () => {
       let image = document.getElementById("hsts-image");
-      image.src = "https://hsts.arthuredelstein.net/set_hsts.png";
+      image.src = `https://${ENVIRONMENT.hosts.hsts}/set_hsts.png`;
     },
     read: () => new Promise((resolve, reject) => {
       let image = document.getElementById("hsts-image");
       image.onload = () => resolve("image load succeeded");
       image.onerror = () => reject(new Error("image load failed"));
-      image.src = "http://hsts.arthuredelstein.net/test_hsts.png";
+      image.src = `http://${ENVIRONMENT.hosts.hsts}/test_hsts.png`;
     })
   },
-  "TLS Session ID": {
-    description: "The TLS protocol is used by HTTPS to make connections secure. If the browser were to re-use a TLS session, then the session ID could be used to track users across websites.",
+  "TLS session resumption": {
+    description: "The TLS protocol is used by HTTPS to make connections secure. A browser can resume an earlier TLS session by presenting a session ticket that the server issued; if tickets issued on one website are presented on another, they can be used to track users across websites.",
+    verdict: "tlsTicket",
+    // The tls server remembers which first party (same or different) first
+    // used each session, and reports which one issued the ticket that this
+    // connection resumed (see live/tls.js).
     write: async () => {
-      let results = await fetch("https://tls.arthuredelstein.net:8900/");
-      return (await results.json()).sessionId;
+      let response = await fetch(`${tls}/?site=${firstParty}`);
+      return (await response.json()).sessionId;
     },
     read: async () => {
-      let results = await fetch("https://tls.arthuredelstein.net:8900/");
-      return (await results.json()).sessionId;
+      let response = await fetch(`${tls}/?site=${firstParty}`);
+      let { resumedFrom, earlyData } = await response.json();
+      return earlyData ? `${resumedFrom} (0-RTT)` : resumedFrom;
+    }
+  },
+  "DNS cache": {
+    description: "Browsers cache the results of DNS lookups, which turn a website's name into an address. If the cache is shared between websites, a tracker can give each user a unique name and then see whether it needs looking up again, which can be used to track users across sites.",
+    verdict: "requestCount",
+    // The name is unique to this session, and live/dns.js counts the
+    // lookups for it. The answer lives for DNS_TTL_S, and each read waits
+    // until it has run out, so that resolvers between the browser and
+    // the server (which every first party shares) have forgotten it.
+    write: async (key) => {
+      await resolveName(`ttl${DNS_TTL_S}.${key}.${ENVIRONMENT.dnsZone}`);
+      return key;
+    },
+    read: async (key) => {
+      await sleepMs(2 * DNS_TTL_S * 1000);
+      await resolveName(`ttl${DNS_TTL_S}.${key}.${ENVIRONMENT.dnsZone}`);
+      let count = (await fetchText(testURI("ctr", "dns", key), {"cache": "reload"})).trim();
+      if (count === "0") {
+        throw new Error("No requests received");
+      }
+      return count;
     }
   },
   "prefetch cache": {
@@ -437,7 +785,7 @@ let tests = {
       // Clear Alt-Svc caching first.
       let responseText = "";
       for (let i = 0; i < 10 && responseText !== "h2"; ++i) {
-        responseText = await fetchText("https://h3.arthuredelstein.net:4433/clear");
+        responseText = await fetchText(`${h3}/clear`);
         console.log("clear", responseText, i);
         await sleepMs(10);
       }
@@ -447,7 +795,7 @@ let tests = {
       }
       // Store "h3" state in Alt-Svc cache
       for (let i = 0; i < 10 && responseText !== "h3"; ++i) {
-        responseText = await fetchText("https://h3.arthuredelstein.net:4433/protocol");
+        responseText = await fetchText(`${h3}/protocol`);
         console.log("protocol", responseText, i);
         await sleepMs(10);
       }
@@ -456,38 +804,54 @@ let tests = {
         throw new Error("Unsupported");
       }
     },
-    read: () => fetchText("https://h3.arthuredelstein.net:4433/protocol")
+    read: () => fetchText(`${h3}/protocol`)
   },
   "H1 connection": {
     description: "HTTP/1.x are the classic web connection protocols. If these connections are re-used across websites, they can be used to track users.",
     write: async (secret) => {
-      await fetch(`https://h1.arthuredelstein.net:8901/?mode=write&secret=${secret}`, {cache: "no-store"});
+      await fetch(`${h1}/?mode=write&secret=${secret}`, {cache: "no-store"});
     },
     read: async () => {
-      let response = await fetch(`https://h1.arthuredelstein.net:8901/?mode=read`, {cache: "no-store"});
+      let response = await fetch(`${h1}/?mode=read`, {cache: "no-store"});
       return await response.text();
     }
   },
   "H2 connection": {
     description: "HTTP/2 is a web connection protocol introduced in 2015. Some browsers re-use HTTP/2 connections across websites and can thus be used to track users.",
     write: async (secret) => {
-      await fetch(`https://h2.arthuredelstein.net:8902/?mode=write&secret=${secret}`, {cache: "no-store"});
+      await fetch(`${h2}/?mode=write&secret=${secret}`, {cache: "no-store"});
     },
     read: async () => {
-      let response = await fetch(`https://h2.arthuredelstein.net:8902/?mode=read`, {cache: "no-store"});
+      let response = await fetch(`${h2}/?mode=read`, {cache: "no-store"});
       return await response.text();
     }
   },
+  "H2 connection coalescing": {
+    description: "A browser can coalesce HTTP/2 connections: reuse a connection opened for one hostname for another hostname served from the same address with the same certificate. If a connection opened for one tracker on one website is reused for a different tracker on another website, the two trackers can link the user's visits.",
+    verdict: "coalescing",
+    // The write tags a connection to one hostname. The read asks a second
+    // hostname whether its connection was opened for the first one, and
+    // returns the tag if so (see live/h2.js).
+    write: async (secret) => {
+      await fetch(`${h2}/?mode=write&secret=${secret}`, {cache: "no-store"});
+      return secret;
+    },
+    read: async () => {
+      let response = await fetch(`${h2b}/authorities`, {cache: "no-store"});
+      let { tag, authorities } = await response.json();
+      return authorities.includes(new URL(h2).host) && tag ? tag : "none";
+    }
+  },
   "H3 connection": {
     description: "HTTP/3 is a new standard HTTP connection protocol, still in draft but widely supported by browsers. If it is not partitioned, it can be used to track users across websites.",
     write: async (secret) => {
       // Ensure that we can switch over to h3 via alt-svc:
       for (let i = 0; i<3; ++i) {
-        await fetch(`https://h3.arthuredelstein.net:4433/connection_id`, {cache: "no-store"});
+        await fetch(`${h3}/connection_id`, {cache: "no-store"});
         await sleepMs(500);
       }
       // Are we now connecting over h3?
-      let response = await fetch(`https://h3.arthuredelstein.net:4433/connection_id`, {cache: "no-store"});
+      let response = await fetch(`${h3}/connection_id`, {cache: "no-store"});
       let text = await response.text();
       // Empty response text indicates we are not connecting over h3:
       if (text.trim() === "") {
@@ -495,7 +859,7 @@ let tests = {
       }
     },
     read: async () => {
-      let response = await fetch(`https://h3.arthuredelstein.net:4433/connection_id`);
+      let response = await fetch(`${h3}/connection_id`);
       return await response.text();
     }
   },
@@ -15,6 +15,8 @@ let runTests = async (tests, mode, params) => {
       write: tests[test].write.toString(),
       read: tests[test].read.toString(),
       description: tests[test].description,
+      // The name of the verdict that judges this test (see live/verdicts.js).
+      verdict: tests[test].verdict,
       result,
     };
   }
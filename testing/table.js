@@ -0,0 +1,402 @@
+// # table.js: The results table
+//
+// Turns results (in the format written by test.js) into an HTML
+// comparison table. Used by render.js for the published results pages,
+// and by the results server (live/results.js) for a visitor's own report,
+// so this file must not depend on anything outside of Node itself.
+
+const { loadTrackingParameters, findParameter } = require('../tracking-parameters');
+
+// An HTML table with styling
+const htmlTable = ({ headers, body, className }) => {
+  elements = [];
+  elements.push(`<table class="${className}">`);
+  elements.push("<tr>");
+  for (let header of headers) {
+    elements.push(`<th class="table-header" style="text-transform: capitalize;">${header}</th>`);
+  }
+  elements.push("</tr>");
+  let firstSubheading = true;
+  for (let row of body) {
+    elements.push("<tr>");
+    for (let item of row) {
+      if (item.subheading) {
+        let description = (item.description ?? "").replaceAll(/\s+/g, " ").trim();
+        className = firstSubheading ? "first subheading" : "subheading";
+        elements.push(`<th colspan="4" class="${className} tooltipParent">${item.subheading}<span class="tooltipText">${description}</span></th>`);
+        firstSubheading = false;
+      } else {
+        elements.push(`<td>${item}</td>`);
+      }
+    }
+    elements.push("</tr>");
+  }
+  elements.push("</table>");
+  return elements.join("");
+};
+
+const dropMicroVersion = (version) =>
+  version ? version.split(".").slice(0,2).join(".") : version;
+
+// An inline script that shows a tooltip if the user clicks on any table element
+const tooltipScript = `
+  const table = document.querySelector(".comparison-table");
+  let visibleTooltip = null;
+  const hide = () => {
+    if (visibleTooltip) {
+      visibleTooltip.style.display = "none";
+      visibleTooltip.parentElement.style.backgroundColor = "";
+      visibleTooltip = null;
+    }
+  }
+  const show = (tooltip) => {
+    hide();
+    const viewportWidth = document.documentElement.clientWidth;
+    tooltip.style.display = "block";
+    tooltip.parentElement.style.backgroundColor = "#ffa";
+    const tooltipRight = tooltip.getClientRects()[0].right;
+    const tableRight = table.getClientRects()[0].right;
+    const overflowX = tooltipRight- tableRight + 8;
+    if (overflowX > 0) {
+      tooltip.style.transform="translate(" + (-overflowX) +"px, 0px)";
+    }
+    visibleTooltip = tooltip;
+  }
+  document.addEventListener("mousedown", e => {
+    if (e.target.classList.contains("tooltipParent")) {
+      const tooltip = e.target.querySelector(".tooltipText");
+      if (tooltip) {
+        tooltip === visibleTooltip ? hide() : show(tooltip);
+      }
+    } else if (e.target.classList.contains("tooltipText")) {
+      hide();
+    } else {
+      hide();
+    }
+  });
+  //document.addEventListener("scroll", hide);
+`;
+
+// Takes the results for tests on a specific browser,
+// and returns an HTML fragment that will serve as
+// the header for the column showing thoses tests.
+// browserLogo(browser, nightly), if given, returns the
+// URI of the browser's logo.
+const resultsToDescription = ({
+  browser,
+  reportedVersion,
+  os, os_version,
+  prefs, incognito, tor, nightly, label
+}, browserLogo) => {
+  let browserFinal = browser;
+  let browserVersionLong = reportedVersion;
+  let browserVersionShort = dropMicroVersion(browserVersionLong) || "???";
+  let platformFinal = os;
+//  let platformVersionFinal = platformVersion || "";
+  let logoImage = browserLogo ?
+      `<img class="browser-logo-image" src="${browserLogo(browser, nightly)}" width="32" height="32"><br>` : "";
+  let finalText = `
+  <span>
+    ${label ? `<b>${label}</b><br>` : ""}
+    ${logoImage}
+    ${browserFinal}<br>
+    ${browserVersionShort}
+  </span>`;
+  if (prefs) {
+    for (let key of Object.keys(prefs).sort()) {
+      if (key !== "extensions.torlauncher.prompt_at_startup") {
+        finalText += `<br>${key}: ${prefs[key]}`;
+      }
+    }
+  }
+  if (incognito === true) {
+    finalText += "<br>private";
+  }
+  if (tor === true) {
+    finalText += "<br>Tor";
+  }
+  return finalText;
+};
+
+const allHaveValue = (x, value) => {
+  return Array.isArray(x) ? x.every(item => item === value) : x === value;
+};
+
+// Escape text for inclusion in HTML. Test names, descriptions and results
+// can come from anyone who runs the tests (see live/report.js), so all of
+// them go through here.
+const htmlEscape = (s) => String(s)
+      .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+
+// The value of x in trial i, where x is an array if
+// repeated trials were aggregated.
+const trialValue = (x, i) => Array.isArray(x) ? x[i] : x;
+
+// Returns the status ("passed", "failed", "unsupported" or "error") of
+// each trial of a test. Cross-site tests have a status (see
+// live/verdicts.js); for other tests, and for results files from before
+// statuses existed, it is worked out from passed, testFailed and unsupported.
+const trialStatuses = ({ status, passed, testFailed, unsupported }) => {
+  if (status !== undefined) {
+    return [].concat(status);
+  }
+  const trials = Math.max(...[passed, testFailed, unsupported]
+                          .map(x => Array.isArray(x) ? x.length : 1));
+  return [...Array(trials).keys()].map(i => {
+    if (trialValue(unsupported, i) === true) {
+      return "unsupported";
+    }
+    if (trialValue(testFailed, i) === true) {
+      return "error";
+    }
+    return trialValue(passed, i) === false ? "failed" : "passed";
+  });
+};
+
+// Generates a table cell which indicates whether
+// a test passed, and includes the tooltip with
+// more information.
+const testBody = ({statuses, tooltip}) => {
+  let allUnsupported = allHaveValue(statuses, "unsupported");
+  let anyDidntPass = statuses.includes("failed");
+  return `<div class='dataPoint tooltipParent ${(allUnsupported) ? "na" : (anyDidntPass ? "bad" : "good")}'
+> ${allUnsupported ? "&ndash;" : "&nbsp;"}
+<span class="tooltipText">${htmlEscape(tooltip)}</span>
+</div>`;
+};
+
+// Creates a tooltip with fingerprinting test results
+// including the test expressions, the actual
+// and desired values, and whether the test passed.
+const fingerprintingTooltip = fingerprintingItem => {
+  let { expression, desired_expression, actual_value,
+        desired_value, passed, worker } = fingerprintingItem;
+  return `
+expression: ${ expression }
+desired expression: ${ desired_expression }
+actual value: ${ actual_value }
+desired value: ${ desired_value }
+passed: ${ passed }
+${ worker ? "[Worker]" : "" }
+  `.trim();
+};
+
+// For simple tests, creates a tooltip that shows detailed results.
+const simpleToolTip = (result) => {
+  let text = "";
+  for (let key in result) {
+    if (key !== "description") {
+      text += `${key}: ${result[key]}\n`;
+    }
+  }
+  return text.trim();
+};
+
+const joinIfArray = x => Array.isArray(x) ? x.join(", ") : x;
+
+const crossSiteTooltip = (result) => {
+  let { write, read, readSameFirstParty, readDifferentFirstParty, reason } = result;
+  return `
+write: ${ write }
+
+read: ${ read }
+
+result, same first party: ${ joinIfArray(readSameFirstParty) }
+
+result, different first party: ${ joinIfArray(readDifferentFirstParty) }
+
+status: ${ trialStatuses(result).join(", ") }
+${ reason === undefined ? "" : `
+reason: ${ joinIfArray(reason) }` }
+`.trim();
+};
+
+// For persistence tests, shows what was read before and after the restart.
+const persistenceTooltip = (result) => {
+  let { write, read, readBefore, readAfter, reason } = result;
+  return `
+write: ${ write }
+
+read: ${ read }
+
+result, before restart: ${ joinIfArray(readBefore) }
+
+result, after restart: ${ joinIfArray(readAfter) }
+
+status: ${ trialStatuses(result).join(", ") }
+${ reason === undefined ? "" : `
+reason: ${ joinIfArray(reason) }` }
+`.trim();
+};
+
+// The description of a row: by default, the description in the results.
+const resultDescription = (rowName, result) => result["description"] ?? "";
+
+// The description of a tracking query parameter row, with its vendor and
+// source from the current list (which older results files lack).
+const queryParameterDescription = (trackingParameters) => (rowName, result) => {
+  const entry = findParameter(trackingParameters, rowName);
+  if (entry === undefined) {
+    return resultDescription(rowName, result);
+  }
+  return `${entry.description}. Vendor: ${entry.vendor}. Source: ${entry.source}`;
+};
+
+const resultsSection = ({bestResults, category, tooltipFunction, rowDescription = resultDescription}) => {
+//  console.log(results);
+let section = [];
+// Not every run includes every category (see the --tests flag in test.js).
+let bestResultsForCategory = bestResults
+    .map(m => m["testResults"][category])
+    .find(resultMap => resultMap !== undefined);
+if (!bestResultsForCategory) {
+  return [];
+}
+let rowNames = Object.keys(bestResultsForCategory)
+      .sort(Intl.Collator().compare);
+  let resultMaps = bestResults
+      .map(m => m["testResults"][category]);
+  for (let rowName of rowNames) {
+    let row = [];
+    let description = rowDescription(rowName, bestResultsForCategory[rowName]);
+    row.push(`<div class="tooltipParent">${htmlEscape(rowName)}<span class="tooltipText">${htmlEscape(description)}</span></div>`);
+    for (let resultMap of resultMaps) {
+      if (resultMap === undefined || resultMap[rowName] === undefined) {
+        row.push("");
+        continue;
+      }
+      let tooltip = tooltipFunction(resultMap[rowName]);
+      row.push(testBody({ statuses: trialStatuses(resultMap[rowName]), tooltip }));
+    }
+    section.push(row);
+  }
+  return section;
+};
+
+const sectionDescription = {
+  statePartitioning: `
+    A common vulnerability of web browsers is that they allow tracking companies
+    to 'tag' your browser with some data ('state') that identifies you. When third-party trackers
+    are embedded in websites, they can see this identifying data as you browse to different
+    websites. Fortunately, it is possible for this category of leaks to be fixed by partitioning
+    all data stored in the browser such that no data can be shared between websites.`,
+  navigation: `
+    When you click a hyperlink to navigate your browser from one site to another, certain
+    browser APIs allow the first site to communicate to the second site. These privacy
+    vulnerabilities can be fixed by introducing new limits on how much data is transfered
+    between sites.`,
+  https: `
+    HTTPS is the protocol that web browsers use to connect securely to websites. When
+    HTTPS is being used, the connection is encrypted so
+    that third parties on the network cannot read content being sent between the
+    server and your browser. In the past, insecure connections were the default and websites
+    would need to actively request that a browser use HTTPS. Now the status quo is shifting,
+    and browser makers are moving toward a world where HTTPS is the default protocol.`,
+  misc: `This category includes tests for the presence of miscellaneous privacy features.`,
+  fingerprinting: `
+    Fingerprinting is a technique trackers use to uniquely identify you as you browse the web.
+    A fingerprinting script will measure several characteristics of your browser and, combining
+    this data, will build a fingerprint that may uniquely identify you among web users.
+    Browsers can introduce countermeasures, such as minimizing the distinguishing information
+    disclosed by certain web APIs so your browser is harder to pick out from the crowd
+    (so-called 'fingerprinting resistance').`,
+  queryParameters: `
+    When you browse from one web page to another, tracking companies will frequently attach
+    a 'tracking query parameter' to the address of the second web page. That query parameter
+    may contain a unique identifier that tracks you individually as you browse the web. And
+    these query parameters are frequently synchronized with cookies, making them a powerful
+    tracking vector. Web browsers can protect you from known tracking query parameters by
+    stripping them from web addresses before your browser sends them. Browsers don't always
+    strip them the same way for every kind of navigation, so we also check links, scripts,
+    forms, redirects, new windows and links in embedded frames. (The list of
+    tracking query parameters tested here, with a source for each, is largely borrowed
+    from Brave.)`,
+  bounceTracking: `
+    A tracker that can't follow you from site to site as a third party can instead make your
+    browser pass through its own site for a moment, by redirecting you there on your way from
+    one website to another. While you are passing through, the tracker is a first party, so it
+    can store an identifier in its cookies or local storage, and read it back later wherever it
+    is embedded. Some browsers defend against this 'bounce tracking' by clearing the storage of
+    sites that you only ever bounce through, or by skipping known trackers' redirects.`,
+  referrer: `
+    When your browser loads a resource or follows a link, it tells the destination which
+    page you were on, in the Referer [sic] header. A full address can reveal what you were
+    reading, and even identifiers in its query string. Browsers now send only the origin
+    to other sites by default, but a website can ask for the full address to be sent
+    (with a permissive referrer policy such as 'unsafe-url'), and some browsers cap
+    such requests. We check subresources, iframes, navigations, redirects and navigations
+    from https to http.`,
+  headerFingerprinting: `
+    Every request your browser sends carries headers that describe it: the User-Agent,
+    Client Hints (which a website can ask for more of), your preferred languages, and even the
+    order of the headers themselves. A server can use them to fingerprint your browser
+    without running any script, so these 'passive' signals are invisible to script blockers.
+    Browsers can reduce them to values that many users share.`,
+  persistenceRestart: `
+    Private browsing promises to forget what you did once you close the browser. Here we
+    store data with each of the mechanisms from the state partitioning tests in a private
+    window, quit and relaunch the browser, and check whether the data is still there.`,
+  persistencePrivate: `
+    A private window shouldn't be able to see data stored during normal browsing. Here we
+    store data with each of the mechanisms from the state partitioning tests in a normal
+    window, quit the browser, relaunch it in a private window, and check whether the data
+    is still there.`};
+
+// Takes a list of results for each browser, and returns the headers
+// and body of the comparison table. Options: browserLogo (see
+// resultsToDescription).
+const resultsToTable = (results, title, { browserLogo } = {}) => {
+  console.log(results);
+  let bestResults = results
+      .filter(m => m["testResults"])
+      .filter(m => Object.keys(m["testResults"]).length > 0)
+      .sort((m1, m2) => m1["browser"] ? m1["browser"].localeCompare(m2["browser"]) : -1);
+      console.log(bestResults[0]);
+  let headers = bestResults.map(m => resultsToDescription(m, browserLogo));
+  headers.unshift(`<h1 class="title">${title}</h1>`);
+  let body = [];
+  if (bestResults.length === 0) {
+    return [];
+  }
+  body.push([{subheading:"State Partitioning tests", description: sectionDescription.statePartitioning}]);
+  body = body.concat(resultsSection({bestResults, category:"supercookies", tooltipFunction: crossSiteTooltip}));
+  body = body.concat(resultsSection({bestResults, category:"storage_access", tooltipFunction: simpleToolTip}));
+  body = body.concat(resultsSection({bestResults, category:"permissions", tooltipFunction: crossSiteTooltip}));
+  body.push([{subheading:"Navigation tests", description: sectionDescription.navigation}]);
+  body = body.concat(resultsSection({bestResults, category:"navigation", tooltipFunction: crossSiteTooltip}));
+  body.push([{subheading:"HTTPS tests", description: sectionDescription.https }]);
+  body = body.concat(resultsSection({bestResults, category:"https", tooltipFunction: simpleToolTip}));
+  body.push([{subheading:"Misc tests", description: sectionDescription.misc}]);
+  body = body.concat(resultsSection({bestResults, category:"misc", tooltipFunction: simpleToolTip}));
+  body.push([{subheading:"Fingerprinting resistance tests", description: sectionDescription.fingerprinting}]);
+  body = body.concat(resultsSection({bestResults, category:"fingerprinting", tooltipFunction: fingerprintingTooltip} ));
+  body.push([{subheading:"Header fingerprinting tests", description: sectionDescription.headerFingerprinting}]);
+  body = body.concat(resultsSection({bestResults, category:"header_fingerprinting", tooltipFunction: simpleToolTip}));
+  body.push([{subheading:"Tracking query parameter tests", description: sectionDescription.queryParameters}]);
+  body = body.concat(resultsSection({bestResults, category:"query", tooltipFunction: simpleToolTip,
+                                     rowDescription: queryParameterDescription(loadTrackingParameters())}));
+  body.push([{subheading:"Referrer tests", description: sectionDescription.referrer}]);
+  body = body.concat(resultsSection({bestResults, category:"referrer", tooltipFunction: simpleToolTip}));
+  body.push([{subheading:"Bounce tracking tests", description: sectionDescription.bounceTracking}]);
+  body = body.concat(resultsSection({bestResults, category:"bounce_tracking", tooltipFunction: simpleToolTip}));
+  // The persistence tests are optional, so their sections only appear
+  // when some run included them.
+  for (let [category, subheading, description] of [
+    ["persistence_restart", "Private browsing persistence tests (across restart)", sectionDescription.persistenceRestart],
+    ["persistence_private", "Private browsing persistence tests (normal to private)", sectionDescription.persistencePrivate]]) {
+    let section = resultsSection({bestResults, category, tooltipFunction: persistenceTooltip});
+    if (section.length > 0) {
+      body.push([{subheading, description}]);
+      body = body.concat(section);
+    }
+  }
+  return { headers, body };
+};
+
+// Create the title HTML for a results table.
+const tableTitleHTML = (title) => `
+  <div class="table-title">${title}</div>
+  <div class="instructions">(click anywhere for more info)</a>`;
+
+module.exports = { htmlEscape, htmlTable, resultsToDescription, resultsToTable, tableTitleHTML, tooltipScript };
@@ -18,6 +18,11 @@ const { AndroidBrowser } = require("./android.js");
 const { iOSBrowser } = require("./iOS.js");
 const proxy = require("./system-proxy");
 const { connect } = require("it-ws/client");
+const { loadEnvironment } = require("../environments");
+const { judge } = require("../live/verdicts.js");
+
+// The domains we test against (see environments/).
+const environment = loadEnvironment();
 
 // ## Utility functions
 
@@ -48,6 +53,12 @@ const addSearchParam = (url, key, val) => {
   return urlObject.href;
 };
 
+// Adds the websocket's sessionId and signed token to a url, so
+// that the page at that url can post results to the session.
+const addSessionParams = (url, websocket) =>
+  addSearchParam(addSearchParam(url, "sessionId", websocket._sessionId),
+                 "token", websocket._token);
+
 // Fetch results from a json API.
 const fetchJSON = async (...fetchArgs) => {
   let response = await fetch(...fetchArgs);
@@ -98,21 +109,102 @@ const restoreProxies = () => {
 
 // ## Websocket setup
 
-// Set up websocket.
-const createWebsocket = async () => {
-  const websocket = await connect("wss://results.privacytests.org/ws");
-  const firstMessage = await websocket.source.next();
+// The address of the results server's websocket.
+const websocketUrl = environment.websocketUrl;
+
+// How many times, and how often, we try to reconnect a dropped websocket.
+const RECONNECT_ATTEMPTS = 12;
+const RECONNECT_DELAY_MS = 5000;
+
+// Open a connection to the websocket, and read the greeting message.
+// If sessionId and token are given, asks the server to resume that session.
+const openConnection = async (sessionId, token) => {
+  let url = websocketUrl;
+  if (sessionId) {
+    url = addSearchParam(addSearchParam(url, "sessionId", sessionId), "token", token);
+  }
+  const connection = await connect(url);
+  const firstMessage = await connection.source.next();
   console.log("message received", (new Date()).toISOString());
   console.log(firstMessage);
-  const { sessionId } = JSON.parse(firstMessage.value);
-  websocket._sessionId = sessionId;
-  websocket._keepAlivePingId = setInterval(() => websocket.socket.send('{"message":"ping"}'), 30000);
-  return websocket;
-}
+  const greeting = JSON.parse(firstMessage.value);
+  if (sessionId && !greeting.resumed) {
+    connection.destroy();
+    throw new Error(`Server could not resume session ${sessionId}`);
+  }
+  connection._keepAlivePingId = setInterval(() => connection.socket.send('{"message":"ping"}'), 30000);
+  return { connection, sessionId: greeting.sessionId, token: greeting.token,
+           schemaVersion: greeting.schemaVersion };
+};
 
-// Get the next value from the websocket.
-const nextValue = async (websocket) => {
-  const message = await websocket.source.next();
+// Set up websocket.
+const createWebsocket = async () => {
+  const { connection, sessionId, token, schemaVersion } = await openConnection();
+  return { _connection: connection, _sessionId: sessionId, _token: token,
+           _schemaVersion: schemaVersion };
+};
+
+// Replace a dropped connection with a new one that resumes
+// the same session (for example, after the server restarted).
+const reconnectWebsocket = async (websocket) => {
+  clearInterval(websocket._connection._keepAlivePingId);
+  for (let attempt = 1; attempt <= RECONNECT_ATTEMPTS; ++attempt) {
+    await sleep(RECONNECT_DELAY_MS);
+    try {
+      console.log(`Reconnecting websocket (attempt ${attempt})...`);
+      const { connection } = await openConnection(websocket._sessionId, websocket._token);
+      websocket._connection = connection;
+      return;
+    } catch (e) {
+      console.log(e);
+    }
+  }
+  throw new Error(`Failed to reconnect websocket for session ${websocket._sessionId}`);
+};
+
+// How long we wait for the browser to finish a page before giving up.
+const STEP_TIMEOUT_MS = 90000;
+
+// Log a progress event from the server (see reportProgress in live/results.js).
+const logProgress = (websocket, { step, totalSteps, category, url, elapsedMs, nextUrl, error }) => {
+  const elapsed = elapsedMs === undefined ? "" : ` in ${(elapsedMs / 1000).toFixed(1)}s`;
+  console.log(`[${websocket._sessionId.slice(0, 8)}] step ${step}/${totalSteps}: ${category} posted${elapsed} from ${url}`);
+  if (error) {
+    console.log(`  rejected (${error.code}): ${error.message}`);
+  }
+  if (nextUrl) {
+    console.log(`  next: ${nextUrl}`);
+    websocket._awaiting = nextUrl;
+  }
+};
+
+// Read from the websocket's connection. A read that timed out is still
+// waiting for the next message, so we keep it and wait on it again next
+// time, rather than let it take that message.
+const readConnection = (websocket, timeoutMs) => {
+  if (websocket._pendingRead === undefined) {
+    websocket._pendingRead = websocket._connection.source.next()
+      .finally(() => { websocket._pendingRead = undefined; });
+  }
+  return deadlinePromise(websocket._pendingRead, timeoutMs);
+};
+
+// Read the next message from the websocket, reconnecting if it dropped.
+// Throws if nothing arrives within timeoutMs.
+const nextMessage = async (websocket, timeoutMs) => {
+  let message;
+  try {
+    message = await readConnection(websocket, timeoutMs);
+    while (message.done) {
+      await reconnectWebsocket(websocket);
+      message = await readConnection(websocket, timeoutMs);
+    }
+  } catch (e) {
+    if (e === "Timed out") {
+      throw new Error(`Browser stalled: no progress for ${timeoutMs / 1000}s while waiting for ${websocket._awaiting ?? "the first page"}`);
+    }
+    throw e;
+  }
   console.log({message});
   if (message.value === undefined) {
     throw new Error(`Unexpected message: ${JSON.stringify(message)}`);
@@ -124,24 +216,73 @@ const nextValue = async (websocket) => {
   return data;
 };
 
+// Wait for the next data sent by the server, logging any progress
+// events along the way. Each step has timeoutMs to report progress.
+const nextValue = async (websocket, timeoutMs = STEP_TIMEOUT_MS) => {
+  while (true) {
+    const data = await nextMessage(websocket, timeoutMs);
+    if (data.progress === undefined) {
+      return data;
+    }
+    logProgress(websocket, data.progress);
+    // The page whose data was rejected can't carry on.
+    if (data.progress.error?.code === "invalid_data") {
+      throw new Error(`Server rejected ${data.progress.category} data: ${data.progress.error.message}`);
+    }
+  }
+};
+
 // Close the websocket (stopping its keepalive ping)
 const destroyWebSocket = (websocket) => {
   try {
-    clearInterval(websocket._keepAlivePingId);
-    websocket.destroy();
+    clearInterval(websocket._connection._keepAlivePingId);
+    websocket._connection.destroy();
   } catch (e) {
     console.log(e);
   }
 }
 
+// ## Test plans
+
+// Parse the --tests flag into a test plan for the server. A comma-separated
+// list of categories means "only these". A category prefixed with "-" is
+// skipped, and one prefixed with "+" is added to the default categories.
+// For example, `--tests=supercookies,query` or `--tests=-https,+insecure`.
+const parseTestPlan = (testsFlag) => {
+  let only = [], skip = [], add = [];
+  for (let item of (testsFlag ?? "").split(",").map(x => x.trim()).filter(x => x)) {
+    if (item.startsWith("-")) {
+      skip.push(item.slice(1));
+    } else if (item.startsWith("+")) {
+      add.push(item.slice(1));
+    } else {
+      only.push(item);
+    }
+  }
+  return { only: only.length > 0 ? only : undefined, skip, add };
+};
+
+// Send our test plan to the server. The server replies with the list of
+// categories it will run (`plan`) and the first page the browser should
+// visit (`firstUrl`), or with an error if the plan names an unknown category.
+const requestPlan = async (websocket, testPlan) => {
+  websocket._connection.socket.send(JSON.stringify({ plan: testPlan }));
+  const reply = await nextValue(websocket);
+  if (reply.plan_error) {
+    throw new Error(reply.plan_error);
+  }
+  console.log("test plan:", reply.plan);
+  return reply;
+};
+
 // ## Testing
 
 // We use two domains for supercookies and navigation tests.
 // The "same" domain is the one that is used for simluated third-party tracker
 // and one of the two first parties. The "different" domain is the other
 // first party we use.
-const iframe_root_same = "https://arthuredelstein.net/test-pages";
-const iframe_root_different = "https://test-pages.privacytests.org";
+const iframe_root_same = environment.iframeRootSame;
+const iframe_root_different = environment.iframeRootDifferent;
 
 const ipAddressTest = async (supplementaryResults) => {
   const myIpAddress = await fetch_ipAddress();
@@ -155,48 +296,181 @@ const ipAddressTest = async (supplementaryResults) => {
   };
 };
 
-// Run all of our privacy tests using selenium for a given driver. Returns
-// a map of test types to test result maps. Such as
+// Open a test page in the browser, noting that it's the page
+// we're waiting on (so a stall can be reported).
+const openPage = async (browserObject, url) => {
+  browserObject._websocket._awaiting = url;
+  await browserObject.openUrl(url);
+};
+
+// ## Persistence tests
+
+// Private browsing should forget everything when the browser closes.
+// Each variant writes the supercookies, reads them back, restarts the
+// browser, and reads them again. In the "restart" variant, everything
+// happens in private windows; in the "private" variant, the write happens
+// in a normal window and the read after the restart in a private one.
+const persistenceVariants = {
+  restart: { writeIncognito: true, readIncognito: true, afterRestart: "after the restart" },
+  private: { writeIncognito: false, readIncognito: true, afterRestart: "in the private window" },
+};
+
+// Close the browser and launch it again, using a private window or not.
+// Returns false, without restarting, if the browser can't switch to the
+// requested mode (browsers without setIncognito can't switch).
+const restartBrowser = async (browserObject, incognito) => {
+  if (!(browserObject.setIncognito?.(incognito) ?? false)) {
+    return false;
+  }
+  await browserObject.kill();
+  await browserObject.launch();
+  return true;
+};
+
+// How long the state written by some verdicts' tests lasts by itself,
+// in seconds. (HSTS: the max-age of /set_hsts.png in live/caching.js.)
+// If the read after the restart comes later than that, the state is gone
+// whether or not the browser forgot it.
+const verdictLifetimesS = { hsts: 20 };
+
+// Judge the supercookie reads before and after the restart with each
+// test's own verdict (see live/verdicts.js), with the read before the
+// restart in the place of the same first party's read, and the read
+// after it in the place of the different first party's.
+const judgePersistence = ({ write, before, after, elapsedMs }, afterRestart) => {
+  let results = {};
+  for (let test of Object.keys(write)) {
+    const { description, write: writeSource, read: readSource, result: writeResult, verdict } = write[test];
+    const readBefore = before[test]?.result;
+    const readAfter = after[test]?.result;
+    let status, reason;
+    if (before[test] === undefined || after[test] === undefined) {
+      [status, reason] = ["error", "The test is missing from a read page."];
+    } else if (elapsedMs > (verdictLifetimesS[verdict] ?? Infinity) * 1000) {
+      [status, reason] = ["unsupported", `The value expires after ${verdictLifetimesS[verdict]}s, before it was read ${afterRestart}.`];
+    } else {
+      ({ status, reason } = judge(verdict, { writeResult, readSameFirstParty: readBefore,
+                                             readDifferentFirstParty: readAfter }));
+      reason = `${reason} (The "different first party" here is the read ${afterRestart}.)`;
+    }
+    results[test] = { write: writeSource, read: readSource, description, verdict,
+                      readBefore, readAfter, status, reason };
+  }
+  return results;
+};
+
+// Run a persistence variant on the supercookie pages (posting under the
+// categories named in live/results.js). Returns the judged results, or
+// undefined if the browser couldn't switch to the mode that a stage needs.
+// (Every variant needs a private window, and ordinary persistence in a
+// normal window mustn't be reported as a private browsing failure.)
+const runPersistenceVariant = async (browserObject, variant) => {
+  const { writeIncognito, readIncognito, afterRestart } = persistenceVariants[variant];
+  const websocket = browserObject._websocket;
+  const skip = () => {
+    console.log(`skipping the ${variant} persistence variant: the browser can't switch windows as needed`);
+    return undefined;
+  };
+  if (!await restartBrowser(browserObject, writeIncognito)) {
+    return skip();
+  }
+  const supercookiePage = async (mode, stage) => {
+    await openPage(browserObject, addSessionParams(
+      `${iframe_root_same}/supercookies.html?mode=${mode}&thirdparty=same&category=persistence_${variant}_${stage}`,
+      websocket));
+    return nextValue(websocket);
+  };
+  const writeTime = Date.now();
+  const write = await supercookiePage("write", "write");
+  const before = await supercookiePage("read", "before");
+  if (!await restartBrowser(browserObject, readIncognito)) {
+    return skip();
+  }
+  const after = await supercookiePage("read", "after");
+  return judgePersistence({ write, before, after, elapsedMs: Date.now() - writeTime }, afterRestart);
+};
+
+// Run our privacy tests for a given browser, following the test plan
+// the server sent us (see requestPlan). Returns a map of test types to
+// test result maps. Such as
 // `
 // { "fingerprinting" : { "window.screen.width" : { /* results */ }, ... },
 //   "misc" : { ... },
 //   "https" : { ... },
 //   "navigation" : { ... },
 //   "supercookies" : { ... } }
+// Categories that aren't in the plan are left out.
 const runTests = async (browserObject) => {
   try {
     const websocket = browserObject._websocket;
-    const sessionId = websocket._sessionId
-    await browserObject.openUrl(`${iframe_root_same}/supercookies.html?mode=write&thirdparty=same&sessionId=${sessionId}`);
-    let signal = await nextValue(websocket);
-    if (!signal.supercookie_write_finished) {
-      throw new Error("failed to get signal that the supercookie write finished");
+    const { plan, firstUrl } = browserObject._plan;
+    let results = {};
+    if (firstUrl) {
+      await openPage(browserObject, firstUrl);
+      if (plan.includes("supercookies")) {
+        let signal = await nextValue(websocket);
+        if (!signal.supercookie_write_finished) {
+          throw new Error("failed to get signal that the supercookie write finished");
+        }
+        if (browserObject instanceof AndroidBrowser || browserObject instanceof iOSBrowser) {
+          await browserObject.clickContent();
+        } else {
+          await openPage(browserObject, signal.navigateUrl);
+        }
+      }
+      let finalValue = await nextValue(websocket);
+      // The embedded trackers in the Storage Access API and permission
+      // tests wait for a click, and may then cause a prompt. (If the
+      // browser doesn't support the Storage Access API, that tracker
+      // doesn't wait.) The link, window.open and cross-site iframe link
+      // query navigations only wait for a click.
+      while (finalValue.storage_access_ready || finalValue.permissions_ready || finalValue.query_ready) {
+        await browserObject.clickContent();
+        if (!finalValue.query_ready) {
+          await sleep(2000);
+          await browserObject.acceptPrompt();
+        }
+        finalValue = await nextValue(websocket);
+      }
+      results = Object.assign({}, finalValue);
     }
-    if (browserObject instanceof AndroidBrowser || browserObject instanceof iOSBrowser) {
-      await browserObject.clickContent();
-    } else {
-      await browserObject.openUrl(`${iframe_root_same}/supercookies.html?mode=read&thirdparty=same&sessionId=${sessionId}`);
+    if (plan.includes("supplementary")) {
+      await openPage(browserObject, addSessionParams(`${iframe_root_same}/supplementary.html`, websocket));
+      let supplementaryResults = await nextValue(websocket);
+      results["fingerprinting"] = Object.assign(results["fingerprinting"] ?? {},
+        {"System font detection": supplementaryResults["System font detection"]});
+      const ipAddressLeak = await ipAddressTest(supplementaryResults);
+      results["misc"] = Object.assign(results["misc"] ?? {}, ipAddressLeak);
     }
-    let mainResults = await nextValue(websocket);
-    await browserObject.openUrl(`${iframe_root_same}/supplementary.html?sessionId=${sessionId}`);
-    let supplementaryResults = await nextValue(websocket);
-    let results = Object.assign({}, mainResults);
-    Object.assign(results["fingerprinting"], {"System font detection": supplementaryResults["System font detection"]});
-    const ipAddressLeak = await ipAddressTest(supplementaryResults);
-    Object.assign(results["misc"], ipAddressLeak);
-    await browserObject.openUrl(`http://upgradable.arthuredelstein.net/upgradable.html?source=address&sessionId=${sessionId}`);
-    console.log("upgradable...");
-    const upgradableAddressResult = await nextValue(websocket);
-    console.log("upgradable received.");
-    Object.assign(results["https"], upgradableAddressResult);
-    await browserObject.openUrl(`http://insecure.arthuredelstein.net/insecure.html?sessionId=${sessionId}`);
-    let insecureResult;
-    try {
-      insecureResult = await deadlinePromise(nextValue(websocket), 8000);
-    } catch (e) {
-      insecureResult =  { "Insecure website": { passed: true, result: "Insecure website never loaded" } };
+    if (plan.includes("https")) {
+      results["https"] = results["https"] ?? {};
+      await openPage(browserObject, addSessionParams(`http://${environment.hosts.upgradable}/upgradable.html?source=address`, websocket));
+      console.log("upgradable...");
+      const upgradableAddressResult = await nextValue(websocket);
+      console.log("upgradable received.");
+      Object.assign(results["https"], upgradableAddressResult);
+    }
+    // A browser that refuses to load the insecure page never posts its
+    // result, which is the passing case, so we only wait a few seconds.
+    if (plan.includes("https") || plan.includes("insecure")) {
+      await openPage(browserObject, addSessionParams(`http://${environment.hosts.insecure}/insecure.html`, websocket));
+      let insecureResult;
+      try {
+        insecureResult = await nextValue(websocket, 8000);
+      } catch (e) {
+        insecureResult =  { "Insecure website": { passed: true, result: "Insecure website never loaded" } };
+      }
+      results["https"] = Object.assign(results["https"] ?? {}, insecureResult);
+    }
+    // This restarts the browser, so it comes last.
+    if (plan.includes("persistence")) {
+      for (let variant of Object.keys(persistenceVariants)) {
+        const variantResults = await runPersistenceVariant(browserObject, variant);
+        if (variantResults) {
+          results[`persistence_${variant}`] = variantResults;
+        }
+      }
     }
-    Object.assign(results["https"], insecureResult);
     return results;
   } catch (e) {
     console.log(e);
@@ -206,18 +480,23 @@ const runTests = async (browserObject) => {
 
 // Runs a batch of tests (multiple browsers).
 // Returns results in a JSON object.
-const runTestsBatch = async (configList, { shouldQuit, android, iOS } = { shouldQuit: true }) => {
+const runTestsBatch = async (configList, { shouldQuit, android, iOS, testPlan } = { shouldQuit: true }) => {
   let all_tests = [];
   let timeStarted = new Date().toISOString();
+  // The version of the results server's data schema (see live/schemas.js).
+  let schemaVersion;
   for (let config of configList) {
     console.log("\nnext test:", config);
     const { browser, incognito, tor, nightly } = config;
     const timeStarted = new Date().toISOString();
     const browserObject = android ? new AndroidBrowser(config) : (iOS ? new iOSBrowser(config) : new Browser(config));
     browserObject._websocket = await createWebsocket();
+    schemaVersion = browserObject._websocket._schemaVersion;
     try {
+      browserObject._plan = await requestPlan(browserObject._websocket, testPlan);
       await browserObject.launch();
-      const testResults = await deadlinePromise(runTests(browserObject), 300000);
+      const testResults = await deadlinePromise(runTests(browserObject),
+        browserObject._plan.plan.includes("persistence") ? 600000 : 300000);
       all_tests.push({
         browser, incognito, tor, nightly,
         testResults, timeStarted,
@@ -241,7 +520,7 @@ const runTestsBatch = async (configList, { shouldQuit, android, iOS } = { should
   } else {
     platform = "Desktop;"
   }
-  return { all_tests, git: gitHash(), timeStarted, timeStopped, platform };
+  return { all_tests, schemaVersion, git: gitHash(), timeStarted, timeStopped, platform };
 };
 
 // ## Writing results
@@ -289,15 +568,16 @@ const main = async () => {
     installTestFontIfNeeded();
     disableProxies();
     // Read config file and flags from command line
-    let { _ : [configFile], debug, only, repeat, aggregate, nightly, android, iOS } =
-      minimist(process.argv.slice(2), opts = { default: { aggregate: true }});
+    let { _ : [configFile], debug, only, repeat, aggregate, nightly, android, iOS, tests } =
+      minimist(process.argv.slice(2), opts = { default: { aggregate: true }, string: ["tests"]});
     let configList = parseConfigFile(configFile, repeat);
     let filteredConfigList = configList
         .filter(d => only ? d.browser.startsWith(only) : true)
         .map(d => Object.assign({}, d, nightly ? {nightly} : null));
     console.log("List of browsers to run:", filteredConfigList);
     let dataFile = writeDataSync(await runTestsBatch(filteredConfigList,
-                                                    { shouldQuit: !debug, android, iOS }));
+                                                    { shouldQuit: !debug, android, iOS,
+                                                      testPlan: parseTestPlan(tests) }));
     restoreProxies();
     render.render({ dataFile, aggregate });
   } catch (e) {
@@ -0,0 +1,54 @@
+// # tracking-parameters: The tracking query parameters we test
+//
+// parameters.json lists the query parameters that trackers attach to
+// links, each with a description, the vendor that uses it, and a source
+// link (usually a browser's or extension's strip list). An entry either
+// has a `name`, or a `pattern` such as "utm_*" (where * matches anything)
+// along with `examples` of names to test. An entry may also have
+// `domains`: the destination domains on which it matters (and on which
+// browsers strip it). Bump `version` whenever the list changes.
+//
+// Most entries come from Brave's list, in
+// https://github.com/brave/brave-core/blob/50df76971db6a6023b3db9aead0827606162dc9c/browser/net/brave_site_hacks_network_delegate_helper.cc#L29
+//
+// The file is read afresh on each call to loadTrackingParameters, so
+// editing it changes the next test run without restarting the results
+// server. The results server (live/results.js) uses it to build the query
+// test page URL and to judge the results, and the renderer
+// (testing/table.js) to describe each parameter.
+
+const fs = require('fs');
+const path = require('path');
+
+const parametersFile = path.join(__dirname, "parameters.json");
+
+// Read the list: { version, parameters }.
+const loadTrackingParameters = () => JSON.parse(fs.readFileSync(parametersFile, "utf8"));
+
+// Converts a pattern such as "utm_*" to a RegExp.
+const patternRegExp = (pattern) =>
+  new RegExp(`^${pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+
+// Does the entry apply to a destination with the given hostname? Unscoped
+// entries apply everywhere; scoped ones on their domains and subdomains.
+const appliesTo = (entry, hostname) =>
+  entry.domains === undefined ||
+  entry.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+// The parameter names to test on a destination with the given hostname,
+// from the given list: [{ name, description, vendor, source, pattern }].
+// Pattern entries are tested with each of their examples.
+const testedParameters = ({ parameters }, hostname) =>
+  parameters
+    .filter(entry => appliesTo(entry, hostname))
+    .flatMap(({ name, pattern, examples, description, vendor, source }) =>
+      (pattern === undefined ? [name] : examples.filter(example => patternRegExp(pattern).test(example)))
+        .map(testedName => ({ name: testedName, description, vendor, source, pattern })));
+
+// The entry in the given list for a parameter name (matching its name or
+// pattern), or undefined if there is none.
+const findParameter = ({ parameters }, name) =>
+  parameters.find(entry => entry.name === name ||
+                  (entry.pattern !== undefined && patternRegExp(entry.pattern).test(name)));
+
+module.exports = { loadTrackingParameters, testedParameters, findParameter };